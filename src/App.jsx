@@ -1,121 +1,211 @@
 /**
  * App.jsx
- * 
+ *
  * Demo application showcasing the Stepper compound component.
  * Demonstrates:
  * 1. Compound Components pattern
  * 2. Render props for customization
  * 3. State synchronization without prop drilling
  * 4. Keyboard navigation and ARIA attributes
+ * 5. Built-in form state and per-step validation (useStepField)
+ * 6. Conditional steps driven by form data (when/skip)
+ * 7. Progress persisted to localStorage across reloads
+ * 8. Active step reflected in the URL (?step=) with Back/Forward support
+ * 9. Linear mode - steps must be completed in order
+ * 10. Direction-aware slide transitions between steps
+ * 11. Step status (optional preferences step)
+ * 12. Editing an earlier step un-completes the steps depending on it
+ * 13. Async submission through onComplete, with a completed state and reset
+ * 14. Weighted progress bar (the longer personal info step counts double)
+ * 15. Review built from the fields' labels, with Edit links back to each step
  */
 
-import { useState } from 'react';
-import { Stepper, Step, StepList, Navigation } from './components/Stepper';
+import {
+  Stepper,
+  Step,
+  StepList,
+  Navigation,
+  StepperCompleted,
+  StepperProgress,
+  StepReview,
+  useStepper,
+  useStepField,
+} from './components/Stepper';
 import './App.css';
 
-function App() {
-  // Form state for multi-step form example
-  const [formData, setFormData] = useState({
-    // Personal Information
-    firstName: '',
-    lastName: '',
-    email: '',
-    
-    // Contact Details
-    phone: '',
-    address: '',
-    city: '',
-    
-    // Preferences
-    notifications: true,
-    newsletter: false,
-    theme: 'light',
-  });
-
-  // Validation errors
-  const [errors, setErrors] = useState({});
-  const [touchedFields, setTouchedFields] = useState({});
-
-  /**
-   * Validate email format
-   */
-  const isValidEmail = (email) => {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-  };
-
-  /**
-   * Validate phone format (basic)
-   */
-  const isValidPhone = (phone) => {
-    return /^[\d\s\-\+\(\)]+$/.test(phone) && phone.replace(/\D/g, '').length >= 10;
-  };
-
-  /**
-   * Validate current step
-   */
-  const validateStep = (stepIndex) => {
-    const newErrors = {};
-
-    if (stepIndex === 0) {
-      // Personal Information validation
-      if (!formData.firstName.trim()) {
-        newErrors.firstName = 'First name is required';
-      }
-      if (!formData.lastName.trim()) {
-        newErrors.lastName = 'Last name is required';
-      }
-      if (!formData.email.trim()) {
-        newErrors.email = 'Email is required';
-      } else if (!isValidEmail(formData.email)) {
-        newErrors.email = 'Please enter a valid email address';
-      }
-    }
-
-    if (stepIndex === 1) {
-      // Contact Details validation
-      if (!formData.phone.trim()) {
-        newErrors.phone = 'Phone number is required';
-      } else if (!isValidPhone(formData.phone)) {
-        newErrors.phone = 'Please enter a valid phone number (at least 10 digits)';
-      }
-      if (!formData.address.trim()) {
-        newErrors.address = 'Address is required';
-      }
-      if (!formData.city.trim()) {
-        newErrors.city = 'City is required';
-      }
-    }
-
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
-  };
-
-  /**
-   * Update form data
-   */
-  const updateField = (field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
-    // Clear error for this field when user starts typing
-    if (errors[field]) {
-      setErrors(prev => ({ ...prev, [field]: undefined }));
-    }
-  };
-
-  /**
-   * Mark field as touched
-   */
-  const handleBlur = (field) => {
-    setTouchedFields(prev => ({ ...prev, [field]: true }));
-  };
-
-  /**
-   * Handle form submission
-   */
-  const handleSubmit = () => {
-    console.log('Form submitted:', formData);
-    alert('Form submitted successfully! Check console for data.');
-  };
+// Initial form values for multi-step form example
+const initialValues = {
+  // Personal Information
+  firstName: '',
+  lastName: '',
+  email: '',
+  accountType: 'personal',
+
+  // Company Info (business accounts only)
+  companyName: '',
+
+  // Contact Details
+  phone: '',
+  address: '',
+  city: '',
+
+  // Preferences
+  notifications: true,
+  newsletter: false,
+  theme: 'light',
+};
+
+/**
+ * Validate email format
+ */
+const isValidEmail = (email) => {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+};
+
+/**
+ * Validate phone format (basic)
+ */
+const isValidPhone = (phone) => {
+  return /^[\d\s\-+()]+$/.test(phone) && phone.replace(/\D/g, '').length >= 10;
+};
+
+/**
+ * Create a validator for a required text field
+ */
+const required = (message) => (value) => (value.trim() ? undefined : message);
+
+/**
+ * Email validator
+ */
+const validateEmail = (email) => {
+  if (!email.trim()) {
+    return 'Email is required';
+  }
+  if (!isValidEmail(email)) {
+    return 'Please enter a valid email address';
+  }
+  return undefined;
+};
+
+/**
+ * Phone validator
+ */
+const validatePhone = (phone) => {
+  if (!phone.trim()) {
+    return 'Phone number is required';
+  }
+  if (!isValidPhone(phone)) {
+    return 'Please enter a valid phone number (at least 10 digits)';
+  }
+  return undefined;
+};
+
+/**
+ * Text input bound to the stepper form state
+ * Shows the validation error once the field has been touched; the required
+ * marker is only drawn next to the label, the field keeps its plain label for the review
+ */
+const TextField = ({ name, label, type = 'text', placeholder, validate, required: isRequired }) => {
+  const field = useStepField(name, { validate, label });
+
+  return (
+    <div className="form-group">
+      <label htmlFor={name}>
+        {label}
+        {isRequired && <span aria-hidden="true"> *</span>}
+      </label>
+      <input
+        id={name}
+        type={type}
+        placeholder={placeholder}
+        aria-required={isRequired || undefined}
+        className={field.invalid ? 'error' : ''}
+        {...field.inputProps}
+      />
+      {field.invalid && (
+        <span className="error-message">{field.error}</span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Checkbox bound to the stepper form state
+ */
+const CheckboxField = ({ name, label }) => {
+  const field = useStepField(name, { initialValue: false, label });
+
+  return (
+    <div className="form-group checkbox-group">
+      <label>
+        <input
+          type="checkbox"
+          name={name}
+          checked={field.value}
+          onChange={field.onChange}
+        />
+        <span>{label}</span>
+      </label>
+    </div>
+  );
+};
+
+/**
+ * Select bound to the stepper form state
+ */
+const SelectField = ({ name, label, options }) => {
+  const field = useStepField(name, { label });
+
+  return (
+    <div className="form-group">
+      <label htmlFor={name}>{label}</label>
+      <select id={name} {...field.inputProps}>
+        {options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+// Display of the review values that aren't shown as entered
+const reviewFormatters = {
+  accountType: value => (value === 'business' ? 'Business' : 'Personal'),
+  notifications: value => (value ? 'Enabled' : 'Disabled'),
+  newsletter: value => (value ? 'Subscribed' : 'Not subscribed'),
+};
+
+/**
+ * Review summary - lists the fields registered by the earlier steps
+ */
+const ReviewSummary = ({ isActive }) => {
+  const { submitError } = useStepper();
 
+  return (
+    <div className="form-step">
+      <h3>Review Your Information</h3>
+      <p className="step-description">Please verify all details before submitting</p>
+
+      <StepReview formatters={reviewFormatters} />
+
+      {isActive && !submitError && (
+        <p className="step-description">Press Complete to submit your registration.</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Submit the registration - simulates a request to the server
+ */
+const submitRegistration = (values) => new Promise(resolve => {
+  setTimeout(() => {
+    console.log('Form submitted:', values);
+    resolve();
+  }, 800);
+});
+
+function App() {
   return (
     <div className="app">
       <header className="app-header">
@@ -132,74 +222,86 @@ function App() {
             Please complete all steps to register your account.
           </p>
 
-          <Stepper initialStep={0}>
+          <Stepper
+            initialStep={0}
+            initialValues={initialValues}
+            persist={{ key: 'registration-wizard', version: 1 }}
+            urlSync="query"
+            linear
+            transition="slide"
+            onComplete={submitRegistration}
+          >
             {/* Step indicators with keyboard navigation */}
             <StepList />
+            <StepperProgress label="Registration progress" />
 
             {/* Step 1: Personal Information */}
-            <Step 
-              id="personal-info" 
-              index={0} 
+            <Step
+              id="personal-info"
               label="Personal Info"
+              weight={2}
             >
               <div className="form-step">
                 <h3>Personal Information</h3>
                 <p className="step-description">Enter your basic information</p>
-                
-                <div className="form-group">
-                  <label htmlFor="firstName">First Name *</label>
-                  <input
-                    id="firstName"
-                    type="text"
-                    value={formData.firstName}
-                    onChange={(e) => updateField('firstName', e.target.value)}
-                    onBlur={() => handleBlur('firstName')}
-                    placeholder="Palenshe"
-                    className={errors.firstName && touchedFields.firstName ? 'error' : ''}
-                  />
-                  {errors.firstName && touchedFields.firstName && (
-                    <span className="error-message">{errors.firstName}</span>
-                  )}
-                </div>
 
-                <div className="form-group">
-                  <label htmlFor="lastName">Last Name *</label>
-                  <input
-                    id="lastName"
-                    type="text"
-                    value={formData.lastName}
-                    onChange={(e) => updateField('lastName', e.target.value)}
-                    onBlur={() => handleBlur('lastName')}
-                    placeholder="Palenshiev"
-                    className={errors.lastName && touchedFields.lastName ? 'error' : ''}
-                  />
-                  {errors.lastName && touchedFields.lastName && (
-                    <span className="error-message">{errors.lastName}</span>
-                  )}
-                </div>
+                <TextField
+                  name="firstName"
+                  label="First Name"
+                  required
+                  placeholder="Palenshe"
+                  validate={required('First name is required')}
+                />
+                <TextField
+                  name="lastName"
+                  label="Last Name"
+                  required
+                  placeholder="Palenshiev"
+                  validate={required('Last name is required')}
+                />
+                <TextField
+                  name="email"
+                  type="email"
+                  label="Email Address"
+                  required
+                  placeholder="palenshe.palenshiev@example.com"
+                  validate={validateEmail}
+                />
+                <SelectField
+                  name="accountType"
+                  label="Account Type"
+                  options={[
+                    { value: 'personal', label: 'Personal' },
+                    { value: 'business', label: 'Business' },
+                  ]}
+                />
+              </div>
+            </Step>
 
-                <div className="form-group">
-                  <label htmlFor="email">Email Address *</label>
-                  <input
-                    id="email"
-                    type="email"
-                    value={formData.email}
-                    onChange={(e) => updateField('email', e.target.value)}
-                    onBlur={() => handleBlur('email')}
-                    placeholder="palenshe.palenshiev@example.com"
-                    className={errors.email && touchedFields.email ? 'error' : ''}
-                  />
-                  {errors.email && touchedFields.email && (
-                    <span className="error-message">{errors.email}</span>
-                  )}
-                </div>
+            {/* Step 2: Company Info - only on the path for business accounts */}
+            <Step
+              id="company-info"
+              label="Company Info"
+              when={(values) => values.accountType === 'business'}
+            >
+              <div className="form-step">
+                <h3>Company Information</h3>
+                <p className="step-description">Tell us about your business</p>
+
+                <TextField
+                  name="companyName"
+                  label="Company Name"
+                  required
+                  placeholder="Palenshe LLC"
+                  validate={required('Company name is required')}
+                />
               </div>
             </Step>
 
-            {/* Step 2: Contact Details - Using render props pattern */}
-            <Step 
-              id="contact-details" 
-              index={1} 
+            {/* Step 3: Contact Details - Using render props pattern */}
+            <Step
+              id="contact-details"
+              dependsOn="personal-info"
               label="Contact Details"
             >
               {({ isActive, isCompleted }) => (
@@ -208,54 +310,29 @@ function App() {
                   <p className="step-description">
                     {isCompleted ? '✓ Contact information saved' : 'Provide your contact information'}
                   </p>
-                  
-                  <div className="form-group">
-                    <label htmlFor="phone">Phone Number *</label>
-                    <input
-                      id="phone"
-                      type="tel"
-                      value={formData.phone}
-                      onChange={(e) => updateField('phone', e.target.value)}
-                      onBlur={() => handleBlur('phone')}
-                      placeholder="+7 (777) 777-77-77"
-                      className={errors.phone && touchedFields.phone ? 'error' : ''}
-                    />
-                    {errors.phone && touchedFields.phone && (
-                      <span className="error-message">{errors.phone}</span>
-                    )}
-                  </div>
-
-                  <div className="form-group">
-                    <label htmlFor="address">Street Address *</label>
-                    <input
-                      id="address"
-                      type="text"
-                      value={formData.address}
-                      onChange={(e) => updateField('address', e.target.value)}
-                      onBlur={() => handleBlur('address')}
-                      placeholder="123 Main St"
-                      className={errors.address && touchedFields.address ? 'error' : ''}
-                    />
-                    {errors.address && touchedFields.address && (
-                      <span className="error-message">{errors.address}</span>
-                    )}
-                  </div>
-
-                  <div className="form-group">
-                    <label htmlFor="city">City *</label>
-                    <input
-                      id="city"
-                      type="text"
-                      value={formData.city}
-                      onChange={(e) => updateField('city', e.target.value)}
-                      onBlur={() => handleBlur('city')}
-                      placeholder="New York"
-                      className={errors.city && touchedFields.city ? 'error' : ''}
-                    />
-                    {errors.city && touchedFields.city && (
-                      <span className="error-message">{errors.city}</span>
-                    )}
-                  </div>
+
+                  <TextField
+                    name="phone"
+                    type="tel"
+                    label="Phone Number"
+                    required
+                    placeholder="+7 (777) 777-77-77"
+                    validate={validatePhone}
+                  />
+                  <TextField
+                    name="address"
+                    label="Street Address"
+                    required
+                    placeholder="123 Main St"
+                    validate={required('Address is required')}
+                  />
+                  <TextField
+                    name="city"
+                    label="City"
+                    required
+                    placeholder="New York"
+                    validate={required('City is required')}
+                  />
 
                   {isActive && isCompleted && (
                     <div className="info-box">
@@ -266,168 +343,67 @@ function App() {
               )}
             </Step>
 
-            {/* Step 3: Preferences */}
-            <Step 
-              id="preferences" 
-              index={2} 
+            {/* Step 4: Preferences */}
+            <Step
+              id="preferences"
               label="Preferences"
+              optional
             >
               <div className="form-step">
                 <h3>Your Preferences</h3>
                 <p className="step-description">Customize your experience</p>
-                
-                <div className="form-group checkbox-group">
-                  <label>
-                    <input
-                      type="checkbox"
-                      checked={formData.notifications}
-                      onChange={(e) => updateField('notifications', e.target.checked)}
-                    />
-                    <span>Enable email notifications</span>
-                  </label>
-                </div>
 
-                <div className="form-group checkbox-group">
-                  <label>
-                    <input
-                      type="checkbox"
-                      checked={formData.newsletter}
-                      onChange={(e) => updateField('newsletter', e.target.checked)}
-                    />
-                    <span>Subscribe to newsletter</span>
-                  </label>
-                </div>
-
-                <div className="form-group">
-                  <label htmlFor="theme">Preferred Theme</label>
-                  <select
-                    id="theme"
-                    value={formData.theme}
-                    onChange={(e) => updateField('theme', e.target.value)}
-                  >
-                    <option value="light">Light</option>
-                    <option value="dark">Dark</option>
-                    <option value="auto">Auto</option>
-                  </select>
-                </div>
+                <CheckboxField name="notifications" label="Enable email notifications" />
+                <CheckboxField name="newsletter" label="Subscribe to newsletter" />
+                <SelectField
+                  name="theme"
+                  label="Preferred Theme"
+                  options={[
+                    { value: 'light', label: 'Light' },
+                    { value: 'dark', label: 'Dark' },
+                    { value: 'auto', label: 'Auto' },
+                  ]}
+                />
               </div>
             </Step>
 
-            {/* Step 4: Review - Demonstrates render props with full state */}
-            <Step 
-              id="review" 
-              index={3} 
+            {/* Step 5: Review - Demonstrates render props with full state */}
+            <Step
+              id="review"
               label="Review"
+              dependsOn={['personal-info', 'company-info', 'contact-details', 'preferences']}
             >
-              {({ isActive }) => (
-                <div className="form-step">
-                  <h3>Review Your Information</h3>
-                  <p className="step-description">Please verify all details before submitting</p>
-                  
-                  <div className="review-section">
-                    <h4>Personal Information</h4>
-                    <dl>
-                      <dt>Name:</dt>
-                      <dd>{formData.firstName} {formData.lastName}</dd>
-                      <dt>Email:</dt>
-                      <dd>{formData.email}</dd>
-                    </dl>
-                  </div>
-
-                  <div className="review-section">
-                    <h4>Contact Details</h4>
-                    <dl>
-                      <dt>Phone:</dt>
-                      <dd>{formData.phone || 'Not provided'}</dd>
-                      <dt>Address:</dt>
-                      <dd>{formData.address || 'Not provided'}</dd>
-                      <dt>City:</dt>
-                      <dd>{formData.city || 'Not provided'}</dd>
-                    </dl>
-                  </div>
-
-                  <div className="review-section">
-                    <h4>Preferences</h4>
-                    <dl>
-                      <dt>Notifications:</dt>
-                      <dd>{formData.notifications ? 'Enabled' : 'Disabled'}</dd>
-                      <dt>Newsletter:</dt>
-                      <dd>{formData.newsletter ? 'Subscribed' : 'Not subscribed'}</dd>
-                      <dt>Theme:</dt>
-                      <dd>{formData.theme}</dd>
-                    </dl>
-                  </div>
-
-                  {isActive && (
-                    <button 
-                      className="submit-btn"
-                      onClick={handleSubmit}
-                    >
-                      Submit Registration
-                    </button>
-                  )}
-                </div>
-              )}
+              {({ isActive }) => <ReviewSummary isActive={isActive} />}
             </Step>
 
-            {/* Navigation with validation */}
-            <Navigation 
-              onNext={(currentStep) => {
-                // Validate before moving to next step
-                const isValid = validateStep(currentStep);
-                if (!isValid) {
-                  // Mark all fields as touched to show errors
-                  if (currentStep === 0) {
-                    setTouchedFields({
-                      firstName: true,
-                      lastName: true,
-                      email: true,
-                    });
-                  } else if (currentStep === 1) {
-                    setTouchedFields({
-                      phone: true,
-                      address: true,
-                      city: true,
-                    });
-                  }
-                  return false; // Prevent navigation
-                }
-              }}
-              renderNext={({ onClick, disabled, isLastStep, currentStep }) => {
-                const handleClick = () => {
-                  if (currentStep < 2) {
-                    const isValid = validateStep(currentStep);
-                    if (!isValid) {
-                      if (currentStep === 0) {
-                        setTouchedFields({
-                          firstName: true,
-                          lastName: true,
-                          email: true,
-                        });
-                      } else if (currentStep === 1) {
-                        setTouchedFields({
-                          phone: true,
-                          address: true,
-                          city: true,
-                        });
-                      }
-                      return;
-                    }
-                  }
-                  onClick();
-                };
-
-                return (
-                  <button
-                    className={`stepper-btn stepper-btn-next ${isLastStep ? 'last-step' : ''}`}
-                    onClick={handleClick}
-                    disabled={disabled}
-                  >
-                    {isLastStep ? 'Complete' : 'Next Step'}
-                  </button>
-                );
-              }}
+            {/* Navigation - the stepper validates each step's fields before advancing */}
+            <Navigation
+              renderNext={({ onClick, disabled, isLastStep, isTransitioning, isSubmitting }) => (
+                <button
+                  className={`stepper-btn stepper-btn-next ${isLastStep ? 'last-step' : ''}`}
+                  onClick={onClick}
+                  disabled={disabled}
+                  aria-busy={isTransitioning || isSubmitting}
+                >
+                  {isLastStep ? (isSubmitting ? 'Submitting…' : 'Complete') : 'Next Step'}
+                </button>
+              )}
             />
+
+            {/* Shown in place of the steps once onComplete has succeeded */}
+            <StepperCompleted>
+              {({ values, reset }) => (
+                <div className="form-step">
+                  <h3>Registration complete</h3>
+                  <p className="step-description">
+                    Thanks, {values.firstName}! A confirmation has been sent to {values.email}.
+                  </p>
+                  <button className="submit-btn" onClick={reset}>
+                    Register another account
+                  </button>
+                </div>
+              )}
+            </StepperCompleted>
           </Stepper>
         </section>
       </main>
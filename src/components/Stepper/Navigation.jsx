@@ -7,18 +7,41 @@
  */
 
 import { useStepper } from './StepperContext';
+import { isThenable } from './guards';
+import { cx, useSlots } from './slots';
+
+/**
+ * Run a navigation handler and continue unless it returns false
+ * (or a Promise resolving to false)
+ */
+const proceedUnlessCancelled = (handler, currentStep, proceed) => {
+  const result = handler ? handler(currentStep) : undefined;
+
+  if (isThenable(result)) {
+    return result.then(resolved => (resolved === false ? false : proceed()));
+  }
+  return result === false ? false : proceed();
+};
 
 /**
  * Navigation - Compound component for step navigation controls
  * 
  * Provides Previous/Next buttons with customization through slots.
- * Automatically disables buttons at boundaries (first/last step).
+ * On the last step Next becomes Finish, which completes the stepper (onComplete).
+ * While a step is being edited from a review step, Next reads "Back to <review step>".
+ * Automatically disables Previous on the first step, and both buttons
+ * while a guarded transition or submission is pending.
+ * Hidden once the stepper has completed. Button texts come from the Stepper's messages.
+ * Returning false from onNext/onPrevious cancels the navigation.
  * 
  * @param {Object} props
  * @param {Function} props.renderPrevious - Custom render for previous button (slot pattern)
  * @param {Function} props.renderNext - Custom render for next button (slot pattern)
- * @param {Function} props.onNext - Custom next handler (optional)
- * @param {Function} props.onPrevious - Custom previous handler (optional)
+ * @param {Function} props.onNext - Custom next handler, return false to cancel (optional)
+ * @param {Function} props.onPrevious - Custom previous handler, return false to cancel (optional)
+ * @param {Object} props.classNames - Classes by slot: navigation, previousButton, nextButton,
+ *   submitError (optional)
+ * @param {Object} props.slotProps - Extra props, or (state) => props, by slot (optional)
  * @param {string} props.className - Additional CSS classes
  */
 const Navigation = ({ 
@@ -26,6 +49,8 @@ const Navigation = ({
   renderNext,
   onNext,
   onPrevious,
+  classNames,
+  slotProps,
   className = '',
 }) => {
   const { 
@@ -34,64 +59,101 @@ const Navigation = ({
     isFirstStep,
     isLastStep,
     currentStep,
-    totalSteps,
+    isTransitioning,
+    complete,
+    isSubmitting,
+    submitError,
+    isComplete,
+    hasCompletedContent,
+    steps,
+    returnStepId,
+    t,
   } = useStepper();
 
+  const getSlotProps = useSlots({ classNames, slotProps });
+  const isBusy = isTransitioning || isSubmitting;
+  // Without StepperCompleted the last step stays visible once completed, with the buttons disabled
+  const isPreviousDisabled = isFirstStep || isBusy || isComplete;
+  const isNextDisabled = isBusy || isComplete;
+  const returnStep = returnStepId === null ? null : steps.find(step => step.id === returnStepId);
+
+  // Passed to slotProps functions
+  const slotState = { isFirstStep, isLastStep, isTransitioning, isSubmitting, currentStep };
+
   /**
    * Handle previous button click
    */
-  const handlePrevious = () => {
-    if (onPrevious) {
-      onPrevious(currentStep);
-    }
-    goToPrevious();
-  };
+  const handlePrevious = () => (
+    proceedUnlessCancelled(onPrevious, currentStep, goToPrevious)
+  );
 
   /**
-   * Handle next button click
+   * Handle next button click - finishes the stepper on the last step
    */
-  const handleNext = () => {
-    if (onNext) {
-      onNext(currentStep);
-    }
-    goToNext();
-  };
+  const handleNext = () => (
+    proceedUnlessCancelled(onNext, currentStep, isLastStep ? complete : goToNext)
+  );
 
   /**
    * Default previous button renderer
    */
   const defaultPreviousButton = () => (
     <button
-      className="stepper-btn stepper-btn-previous"
-      onClick={handlePrevious}
-      disabled={isFirstStep}
-      aria-label="Go to previous step"
+      {...getSlotProps('previousButton', {
+        className: 'stepper-btn stepper-btn-previous',
+        onClick: handlePrevious,
+        disabled: isPreviousDisabled,
+        'aria-label': t('previousAriaLabel'),
+      }, slotState)}
     >
-      Previous
+      {t('previous')}
     </button>
   );
 
+  /**
+   * Text and accessible name of the next button
+   */
+  const getNextLabels = () => {
+    if (isLastStep) {
+      return [t(isSubmitting ? 'submitting' : 'finish'), t('finishAriaLabel')];
+    }
+    if (returnStep) {
+      const backTo = t('backTo', { label: returnStep.label });
+      return [backTo, backTo];
+    }
+    return [t('next'), t('nextAriaLabel')];
+  };
+  const [nextText, nextAriaLabel] = getNextLabels();
+
   /**
    * Default next button renderer
    */
   const defaultNextButton = () => (
     <button
-      className="stepper-btn stepper-btn-next"
-      onClick={handleNext}
-      disabled={isLastStep}
-      aria-label="Go to next step"
+      {...getSlotProps('nextButton', {
+        className: cx('stepper-btn stepper-btn-next', isBusy && 'busy'),
+        onClick: handleNext,
+        disabled: isNextDisabled,
+        'aria-busy': isBusy,
+        'aria-label': nextAriaLabel,
+      }, slotState)}
     >
-      {isLastStep ? 'Finish' : 'Next'}
+      {nextText}
     </button>
   );
 
+  if (isComplete && hasCompletedContent) {
+    return null;
+  }
+
   return (
-    <div className={`stepper-navigation ${className}`}>
+    <div {...getSlotProps('navigation', { className: cx('stepper-navigation', className) }, slotState)}>
       {/* Slot pattern for custom button rendering */}
       {renderPrevious 
         ? renderPrevious({ 
             onClick: handlePrevious, 
-            disabled: isFirstStep,
+            disabled: isPreviousDisabled,
+            isTransitioning,
             currentStep,
           })
         : defaultPreviousButton()
@@ -100,12 +162,20 @@ const Navigation = ({
       {renderNext
         ? renderNext({ 
             onClick: handleNext, 
-            disabled: isLastStep,
+            disabled: isNextDisabled,
             isLastStep,
+            isTransitioning,
+            isSubmitting,
             currentStep,
           })
         : defaultNextButton()
       }
+
+      {submitError && (
+        <p {...getSlotProps('submitError', { className: 'stepper-submit-error', role: 'alert' }, slotState)}>
+          {submitError.message || String(submitError)}
+        </p>
+      )}
     </div>
   );
 };
@@ -0,0 +1,245 @@
+/**
+ * SchemaStepper.jsx
+ *
+ * Renders a complete wizard from a JSON step/field definition.
+ * Composes Stepper, StepList, Step and Navigation, so every feature of the
+ * compound components (guards, validation, keyboard support) comes for free.
+ */
+
+import { useId, useMemo } from 'react';
+import Stepper from './Stepper';
+import Step from './Step';
+import StepList from './StepList';
+import Navigation from './Navigation';
+import StepReview from './StepReview';
+import { useStepper, useStepperLocale } from './StepperContext';
+import { useStepField } from './useStepField';
+import { normalizeSchema, formatFieldValue } from './schema';
+
+/**
+ * SchemaField - Renders one schema field bound to the stepper form state
+ *
+ * @param {Object} props
+ * @param {Object} props.field - Normalized field definition
+ */
+const SchemaField = ({ field }) => {
+  const inputId = useId();
+  const errorId = `${inputId}-error`;
+  const { value, error, invalid, onChange, onBlur } = useStepField(field.name, {
+    validate: field.validate,
+    label: field.label,
+  });
+
+  const commonProps = {
+    id: inputId,
+    name: field.name,
+    onBlur,
+    'aria-invalid': invalid,
+    'aria-required': Boolean(field.required),
+    'aria-describedby': invalid ? errorId : undefined,
+    className: invalid ? 'error' : '',
+  };
+
+  const renderControl = () => {
+    switch (field.type) {
+      case 'textarea':
+        return (
+          <textarea
+            {...commonProps}
+            value={value}
+            onChange={onChange}
+            placeholder={field.placeholder}
+          />
+        );
+
+      case 'select':
+        return (
+          <select {...commonProps} value={value} onChange={onChange}>
+            {field.placeholder !== undefined && (
+              <option value="">{field.placeholder}</option>
+            )}
+            {field.options.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+
+      case 'radio':
+        return (
+          <div role="radiogroup" aria-labelledby={`${inputId}-label`} aria-invalid={invalid}>
+            {field.options.map(option => (
+              <label key={option.value} className="stepper-field-option">
+                <input
+                  type="radio"
+                  name={field.name}
+                  value={option.value}
+                  checked={String(value) === String(option.value)}
+                  onChange={onChange}
+                  onBlur={onBlur}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+        );
+
+      case 'checkbox':
+        return (
+          <input
+            {...commonProps}
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={onChange}
+          />
+        );
+
+      default:
+        return (
+          <input
+            {...commonProps}
+            type={field.type}
+            value={value}
+            onChange={onChange}
+            placeholder={field.placeholder}
+          />
+        );
+    }
+  };
+
+  const requiredMark = field.required ? ' *' : '';
+
+  return (
+    <div className={`stepper-field stepper-field-${field.type}`}>
+      {field.type === 'checkbox' ? (
+        <label htmlFor={inputId}>
+          {renderControl()}
+          <span>{field.label}{requiredMark}</span>
+        </label>
+      ) : (
+        <>
+          <label
+            id={`${inputId}-label`}
+            htmlFor={field.type === 'radio' ? undefined : inputId}
+          >
+            {field.label}{requiredMark}
+          </label>
+          {renderControl()}
+        </>
+      )}
+      {field.description && (
+        <span className="stepper-field-description">{field.description}</span>
+      )}
+      {invalid && (
+        <span id={errorId} className="stepper-field-error" role="alert">{error}</span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * SchemaReview - Auto-generated summary of every step's values
+ *
+ * @param {Object} props
+ * @param {Object} props.review - Normalized review step definition
+ * @param {Object[]} props.steps - Normalized step definitions
+ */
+const SchemaReview = ({ review, steps }) => {
+  const { t } = useStepper();
+  // Option labels for selects and radios, Yes/No for checkboxes
+  const formatters = Object.fromEntries(steps.flatMap(step => step.fields.map(field => [
+    field.name,
+    (value) => formatFieldValue(field, value, t),
+  ])));
+
+  return (
+    <div className="stepper-form-step">
+      <h3>{review.title}</h3>
+      {review.description && (
+        <p className="stepper-form-description">{review.description}</p>
+      )}
+
+      <StepReview formatters={formatters} />
+    </div>
+  );
+};
+
+/**
+ * SchemaStepper - Wizard rendered from a schema definition
+ *
+ * @param {Object} props
+ * @param {Object} props.schema - Step/field definition (see README for the format)
+ * @param {number} props.initialStep - Starting step id or index (default: 0)
+ * @param {Function} props.onStepChange - Callback when step changes (optional)
+ * @param {Function} props.onSubmit - Called with all values when the wizard completes, may be async (optional)
+ * @param {string} props.locale - BCP 47 locale for built-in strings (optional)
+ * @param {Object} props.messages - Overrides for built-in strings (optional)
+ * @param {'ltr'|'rtl'} props.dir - Text direction (optional)
+ * @param {boolean} props.unstyled - Render without the built-in styles (default: false)
+ * @param {Object} props.classNames - Classes by slot name, see Stepper (optional)
+ * @param {Object} props.slotProps - Extra props by slot name, see Stepper (optional)
+ * @param {string} props.className - Additional CSS classes
+ * @throws {Error} If the schema is malformed
+ */
+const SchemaStepper = ({
+  schema,
+  initialStep = 0,
+  onStepChange,
+  onSubmit,
+  locale,
+  messages,
+  dir,
+  unstyled,
+  classNames,
+  slotProps,
+  className = '',
+}) => {
+  const { t } = useStepperLocale({ locale, messages, dir });
+  const { steps, review, initialValues } = useMemo(() => normalizeSchema(schema, t), [schema, t]);
+  // The review step is the last one, so Navigation's Finish button submits it
+  const submitLabel = review ? review.submitLabel || t('submit') : null;
+  const stepperMessages = useMemo(() => (
+    submitLabel ? { ...messages, finish: submitLabel, finishAriaLabel: submitLabel } : messages
+  ), [messages, submitLabel]);
+
+  return (
+    <Stepper
+      initialStep={initialStep}
+      initialValues={initialValues}
+      onStepChange={onStepChange}
+      onComplete={onSubmit}
+      locale={locale}
+      messages={stepperMessages}
+      dir={dir}
+      unstyled={unstyled}
+      classNames={classNames}
+      slotProps={slotProps}
+      className={`schema-stepper ${className}`}
+    >
+      <StepList />
+
+      {steps.map(step => (
+        <Step key={step.id} id={step.id} label={step.label}>
+          <div className="stepper-form-step">
+            <h3>{step.title || step.label}</h3>
+            {step.description && (
+              <p className="stepper-form-description">{step.description}</p>
+            )}
+            {step.fields.map(field => (
+              <SchemaField key={field.name} field={field} />
+            ))}
+          </div>
+        </Step>
+      ))}
+
+      {review && (
+        <Step id={review.id} label={review.label}>
+          <SchemaReview review={review} steps={steps} />
+        </Step>
+      )}
+
+      <Navigation />
+    </Stepper>
+  );
+};
+
+export default SchemaStepper;
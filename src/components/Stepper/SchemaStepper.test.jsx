@@ -0,0 +1,121 @@
+/**
+ * SchemaStepper.test.jsx
+ *
+ * Test suite for the schema-driven wizard.
+ * Tests rendering from a definition, generated validation, the review step
+ * and schema validation errors.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { SchemaStepper, validateSchema } from './index';
+
+const schema = {
+  steps: [
+    {
+      id: 'account',
+      label: 'Account',
+      fields: [
+        { name: 'email', type: 'email', label: 'Email', required: true },
+        { name: 'plan', type: 'select', label: 'Plan', options: ['Free', { value: 'pro', label: 'Pro' }] },
+      ],
+    },
+    {
+      id: 'extras',
+      label: 'Extras',
+      fields: [
+        { name: 'newsletter', type: 'checkbox', label: 'Newsletter' },
+      ],
+    },
+  ],
+};
+
+describe('SchemaStepper', () => {
+  /**
+   * Test: steps and fields are generated from the schema
+   */
+  it('renders steps, fields and an auto-generated review step', () => {
+    render(<SchemaStepper schema={schema} />);
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs).toHaveLength(3);
+    expect(tabs[2]).toHaveTextContent('Review');
+    expect(screen.getByLabelText('Email *')).toHaveAttribute('type', 'email');
+    expect(screen.getByLabelText('Plan')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: required and pattern rules block navigation
+   */
+  it('validates fields generated from the schema', async () => {
+    const user = userEvent.setup();
+    render(<SchemaStepper schema={schema} />);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByRole('alert')).toHaveTextContent('Email is required');
+
+    await user.type(screen.getByLabelText('Email *'), 'not-an-email');
+    expect(screen.getByRole('alert')).toHaveTextContent('Please enter a valid email');
+
+    await user.clear(screen.getByLabelText('Email *'));
+    await user.type(screen.getByLabelText('Email *'), 'ada@example.com');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByLabelText('Newsletter')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: review step summarizes values and submits them
+   */
+  it('summarizes values on the review step and submits them', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    render(<SchemaStepper schema={schema} onSubmit={onSubmit} />);
+
+    await user.type(screen.getByLabelText('Email *'), 'ada@example.com');
+    await user.selectOptions(screen.getByLabelText('Plan'), 'pro');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByLabelText('Newsletter'));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('ada@example.com')).toBeInTheDocument();
+    expect(screen.getByText('Pro')).toBeInTheDocument();
+    expect(screen.getByText('Yes')).toBeInTheDocument();
+
+    // Navigation's Finish button is the only submit control
+    expect(screen.getAllByRole('button', { name: /submit/i })).toHaveLength(1);
+    await user.click(screen.getByRole('button', { name: /submit/i }));
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'ada@example.com',
+      plan: 'pro',
+      newsletter: true,
+    }));
+  });
+
+  /**
+   * Test: malformed schemas are reported clearly
+   */
+  it('reports every problem in a malformed schema', () => {
+    const issues = validateSchema({
+      steps: [
+        { id: 'a', label: 'A', fields: [{ name: 'x', type: 'select', label: 'X' }] },
+        { id: 'a', fields: [{ name: 'x', type: 'color', label: 'Y', pattern: '(' }] },
+      ],
+    });
+
+    expect(issues).toEqual([
+      'steps[0].fields[0].options must be a non-empty array',
+      'steps[1].id "a" is already used by another step',
+      'steps[1].label is required',
+      'steps[1].fields[0].name "x" is already used by another field',
+      'steps[1].fields[0].type "color" is not supported (expected one of: text, email, tel, number, password, textarea, select, radio, checkbox)',
+      'steps[1].fields[0].pattern "(" is not a valid regular expression',
+    ]);
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => render(<SchemaStepper schema={{ steps: [] }} />))
+      .toThrow('Invalid stepper schema:\n- schema.steps must be a non-empty array');
+    console.error.mockRestore();
+  });
+});
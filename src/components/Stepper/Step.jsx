@@ -4,10 +4,23 @@
  * Individual step component with render props support.
  * Consumes stepper context for state without prop drilling.
  * Implements render props pattern for content customization.
+ * A step's position comes from where it renders among its siblings.
+ * Heavy content can be code-split with `load`, see useStepLoader.js.
  */
 
-import { useEffect, useRef } from 'react';
-import { useStepper } from './StepperContext';
+import { useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useStepper, StepContext } from './StepperContext';
+import { useTransitionPhase } from './useStepTransition';
+import { pickStepStatus } from './stepStatus';
+import { useStepLoader } from './useStepLoader';
+import { cx, useSlots } from './slots';
+
+/**
+ * Calls a render-prop child with the step's state
+ * Rendered as an element so the state, stepRef included, reaches the function as props
+ */
+const StepRenderProp = ({ render, ...renderProps }) => render(renderProps);
 
 /**
  * Step - Child component that renders step content
@@ -18,53 +31,200 @@ import { useStepper } from './StepperContext';
  * @param {Object} props
  * @param {React.ReactNode|Function} props.children - Content or render function
  * @param {string} props.label - Step label for navigation
- * @param {number} props.index - Step index (required for ordering)
- * @param {string} props.id - Unique step identifier
+ * @param {string} props.id - Unique step identifier, used to address the step
  * @param {Function} props.onEnter - Callback when step becomes active (optional)
  * @param {Function} props.onExit - Callback when leaving step (optional)
+ * @param {Function} props.canLeave - Guard run before leaving this step; may return
+ *   a boolean, a redirect target (index or id) or a Promise (optional)
+ * @param {Function} props.canEnter - Guard run before entering this step (optional)
+ * @param {Function} props.when - (values) => boolean, step is only on the active path when true (optional)
+ * @param {Function} props.skip - (values) => boolean, step is skipped when true (optional)
+ * @param {boolean} props.skipped - Skips the step outright (optional)
+ * @param {boolean} props.keepMounted - Overrides the Stepper's keepMounted for this step (optional)
+ * @param {boolean} props.lazy - Overrides the Stepper's lazy for this step (optional)
+ * @param {boolean|string} props.error - Flags the step as failed, optionally with a message (optional)
+ * @param {boolean|string} props.warning - Flags the step with a warning, optionally with a message (optional)
+ * @param {boolean} props.optional - Marks the step as optional (optional)
+ * @param {boolean} props.disabled - Shows the step but prevents navigating to it (optional)
+ * @param {boolean} props.loading - Shows a loading indicator for the step (optional)
+ * @param {string|string[]} props.dependsOn - Ids of earlier steps whose edits un-complete this step (optional)
+ * @param {number} props.weight - Share of overall progress relative to other steps (default: 1)
+ * @param {Function} props.load - () => import('./Content'): loads the step's content component,
+ *   which gets the render props state as props; replaces children (optional)
+ * @param {React.ReactNode} props.fallback - Shown while load is pending (default: spinner and "Loading…")
+ * @param {Function} props.renderLoadError - ({ error, retry }) => node, shown when load fails
+ *   (default: message and Try again button)
+ * @param {boolean} props.prefetch - Start load while the previous step is active (default: true)
+ * @param {Object} props.classNames - Classes by slot: panel (optional)
+ * @param {Object} props.slotProps - Extra props, or (state) => props, by slot (optional)
  */
 const Step = ({ 
   children, 
   label = 'Step',
-  index,
   id,
   onEnter,
   onExit,
+  canLeave,
+  canEnter,
+  when,
+  skip,
+  skipped,
+  keepMounted,
+  lazy,
+  error,
+  warning,
+  optional,
+  disabled,
+  loading,
+  dependsOn,
+  weight = 1,
+  load,
+  fallback,
+  renderLoadError,
+  prefetch = true,
+  classNames,
+  slotProps,
 }) => {
   const { 
     currentStep, 
+    getStepIndex,
+    getTabId,
+    getPanelId,
     registerStep, 
     unregisterStep,
+    registerStepGuards,
     isStepCompleted,
+    isStepValid,
+    isStepVisited,
+    getStepStatus,
+    getStepStatusOverride,
+    keepMounted: stepperKeepMounted,
+    lazy: stepperLazy,
+    direction,
+    transition,
+    transitionDuration,
+    panelSlots,
+    isComplete,
+    hasCompletedContent,
+    values,
+    activeSteps,
+    activeStepPosition,
+    t,
   } = useStepper();
   
+  const getSlotProps = useSlots({ classNames, slotProps });
   const stepRef = useRef(null);
-  const isActive = currentStep === index;
-  const isCompleted = isStepCompleted(index);
-  const previousActiveState = useRef(isActive);
+  // Always rendered in place, so the step's order follows render order even while its panel isn't
+  const anchorRef = useRef(null);
+  // -1 until the step has registered
+  const index = getStepIndex(id);
+  // Conditional steps are evaluated against the current form values;
+  // a skipped override from setStepStatus wins either way
+  const isSkipped = getStepStatusOverride(id).skipped ??
+    ((when ? !when(values) : false) || Boolean(skip && skip(values)) || Boolean(skipped));
+  // Once the stepper has completed, StepperCompleted (if any) takes the active step's place
+  const isActive = index !== -1 && currentStep === index && !isSkipped && !(isComplete && hasCompletedContent);
+  const isCompleted = isStepCompleted(id);
+  const isValid = isStepValid(id);
+  const status = getStepStatus(id);
+  // Status set through props, registered with the step
+  const statusProps = useMemo(
+    () => pickStepStatus({ error, warning, optional, disabled, loading }),
+    [error, warning, optional, disabled, loading],
+  );
+  // Inactive steps stay mounted (hidden) in keepMounted mode - all of them,
+  // or only those visited so far when lazy
+  const shouldKeepMounted = (keepMounted ?? stepperKeepMounted) &&
+    !isSkipped &&
+    (!(lazy ?? stepperLazy) || isStepVisited(id));
+  // Code-split content loads once it is rendered, or ahead of time while the step before is active
+  const isNextStep = !isComplete && activeStepPosition !== -1 && activeSteps[activeStepPosition + 1]?.id === id;
+  const loader = useStepLoader(load, isActive || shouldKeepMounted || (prefetch && isNextStep));
+  // null until the step has registered, so the initial step doesn't count as entered
+  const previousActiveState = useRef(null);
+  // Position of the panel while active, where it stays while animating out
+  const activeOffsetRef = useRef(0);
+  // No transition before the first navigation, the initial step doesn't animate in
+  const { phase, finish } = useTransitionPhase({
+    isActive,
+    enabled: Boolean(transition) && direction !== null,
+    duration: transitionDuration,
+  });
+  const isExiting = phase === 'exiting';
+  const transitionState = useMemo(() => ({
+    phase,
+    direction,
+    isEntering: phase === 'entering',
+    isExiting: phase === 'exiting',
+    done: finish,
+  }), [phase, direction, finish]);
+  const stepContextValue = useMemo(
+    () => ({ id, index, transition: transitionState }),
+    [id, index, transitionState],
+  );
 
   // Register step on mount, unregister on unmount
+  // Compare dependencies by value, dependsOn arrays are usually passed inline
+  const dependsOnKey = [].concat(dependsOn ?? []).join('\n');
+  const dependencies = useMemo(() => (dependsOnKey ? dependsOnKey.split('\n') : []), [dependsOnKey]);
+
+  // Re-registers when the step enters or leaves the active path or its status props change
   useEffect(() => {
-    registerStep(id, { label, index });
+    registerStep(id, {
+      label,
+      node: anchorRef.current,
+      skipped: isSkipped,
+      status: statusProps,
+      dependsOn: dependencies,
+      weight,
+    });
     
     return () => {
       unregisterStep(id);
     };
-  }, [id, label, index, registerStep, unregisterStep]);
+  }, [id, label, isSkipped, statusProps, dependencies, weight, registerStep, unregisterStep]);
+
+  // Keep navigation guards up to date without re-registering the step
+  useEffect(() => {
+    return registerStepGuards(id, { canLeave, canEnter });
+  }, [id, canLeave, canEnter, registerStepGuards]);
 
   // Call lifecycle callbacks when step becomes active/inactive
   useEffect(() => {
-    if (isActive && !previousActiveState.current && onEnter) {
-      onEnter();
-    } else if (!isActive && previousActiveState.current && onExit) {
-      onExit();
+    if (index === -1) {
+      return;
+    }
+    if (previousActiveState.current !== null) {
+      if (isActive && !previousActiveState.current && onEnter) {
+        onEnter();
+      } else if (!isActive && previousActiveState.current && onExit) {
+        onExit();
+      }
     }
     previousActiveState.current = isActive;
-  }, [isActive, onEnter, onExit]);
+  }, [index, isActive, onEnter, onExit]);
 
-  // Only render active step content
-  if (!isActive) {
-    return null;
+  // Pin the outgoing panel where it was so both steps animate in the same place
+  useLayoutEffect(() => {
+    const panel = stepRef.current;
+    if (!panel) {
+      return;
+    }
+    if (isExiting) {
+      panel.style.top = `${activeOffsetRef.current}px`;
+    } else {
+      panel.style.top = '';
+      if (isActive) {
+        activeOffsetRef.current = panel.offsetTop;
+      }
+    }
+  });
+
+  const anchor = <span ref={anchorRef} className="step-anchor" hidden />;
+
+  // Only render active step content, unless the step is kept mounted or animating out
+  if (!isActive && !isExiting && !shouldKeepMounted) {
+    return anchor;
   }
 
   /**
@@ -73,33 +233,97 @@ const Step = ({
    * Otherwise, render children normally
    */
   const renderContent = () => {
+    const renderProps = {
+      isActive,
+      isCompleted,
+      isValid,
+      index,
+      label,
+      stepRef,
+      status,
+      transition: transitionState,
+    };
+
+    // Code-split content - fallback while loading, error with retry if it failed
+    if (load) {
+      if (loader.status === 'loaded') {
+        return <loader.Component {...renderProps} />;
+      }
+      if (loader.status === 'error') {
+        return renderLoadError
+          ? renderLoadError({ error: loader.error, retry: loader.retry })
+          : (
+            <div className="step-load-error" role="alert">
+              <p>{t('stepLoadError')}</p>
+              <button type="button" className="stepper-btn stepper-btn-retry" onClick={loader.retry}>
+                {t('retry')}
+              </button>
+            </div>
+          );
+      }
+      return fallback ?? (
+        <div className="step-load-fallback">
+          <span className="step-spinner" aria-hidden="true" />
+          {t('stepLoading')}
+        </div>
+      );
+    }
+
     // Render props pattern - pass step state to render function
     if (typeof children === 'function') {
-      return children({
-        isActive,
-        isCompleted,
-        index,
-        label,
-        stepRef,
-      });
+      return <StepRenderProp render={children} {...renderProps} />;
     }
     
     // Default rendering - just render children
     return children;
   };
 
-  return (
+  /**
+   * End the phase when the panel's own animation ends
+   * (animations of nested elements bubble up and are ignored)
+   */
+  const handleAnimationEnd = (e) => {
+    if (e.target === e.currentTarget) {
+      finish();
+    }
+  };
+
+  const transitionClasses = transition && phase
+    ? `step-transition-${transition} step-${phase} step-${direction || 'forward'}`
+    : '';
+
+  // Vertical StepList with inline content provides a slot under the step's indicator,
+  // where the panel is an accordion region rather than a tab panel
+  const slot = panelSlots[id];
+  const panel = (
     <div
+      {...getSlotProps('panel', {
+        className: cx('step-content', transitionClasses),
+        role: slot ? 'region' : 'tabpanel',
+        id: getPanelId(id),
+        'aria-labelledby': getTabId(id),
+        tabIndex: isActive ? 0 : -1,
+        hidden: !isActive && !isExiting,
+        'aria-hidden': !isActive || undefined,
+        inert: isExiting || undefined,
+        'aria-busy': status.loading || (load && loader.status === 'idle') || undefined,
+        style: transition ? { animationDuration: `${transitionDuration}ms` } : undefined,
+        onAnimationEnd: handleAnimationEnd,
+      }, { id, index, label, isActive, isCompleted, isValid, status })}
       ref={stepRef}
-      className="step-content"
-      role="tabpanel"
-      id={`step-panel-${index}`}
-      aria-labelledby={`step-${index}`}
-      tabIndex={0}
     >
-      {renderContent()}
+      <StepContext.Provider value={stepContextValue}>
+        {renderContent()}
+      </StepContext.Provider>
     </div>
   );
+
+  return (
+    <>
+      {anchor}
+      {slot ? createPortal(panel, slot) : panel}
+    </>
+  );
 };
 
 export default Step;
@@ -6,73 +6,167 @@
  * Implements full accessibility with keyboard navigation and ARIA attributes.
  */
 
-import { useRef, useEffect } from 'react';
+import { useRef, useEffect, useState } from 'react';
 import { useStepper } from './StepperContext';
+import { useMediaQuery } from './useMediaQuery';
+import { cx, useSlots } from './slots';
+
+/**
+ * Container a Step renders its panel into when content is shown inline
+ * Registers itself with the Stepper so the matching Step can portal into it
+ */
+const StepContentSlot = ({ stepId, slotProps }) => {
+  const { registerPanelSlot } = useStepper();
+  const [node, setNode] = useState(null);
+
+  useEffect(() => {
+    if (node) {
+      return registerPanelSlot(stepId, node);
+    }
+    return undefined;
+  }, [node, stepId, registerPanelSlot]);
+
+  return <div {...slotProps} ref={setNode} />;
+};
+
+/**
+ * Focus the step item with a tab id inside a list element
+ * Items are looked up in the DOM, so the handlers StepList passes to renderStep hold no refs
+ */
+const focusStepItem = (list, tabId) => {
+  const item = list && [...list.querySelectorAll('[id]')].find(el => el.id === tabId);
+  if (item) {
+    item.focus();
+  }
+};
 
 /**
  * StepList - Compound component that renders step indicators
  * 
  * Displays clickable step headers with accessibility support.
  * Implements keyboard navigation (Arrow keys, Home, End).
+ * Only steps on the active path are listed and numbered.
+ * In linear mode, steps that can't be reached yet are rendered with aria-disabled.
  * Uses ARIA attributes for screen reader support.
+ * With inline content the list is an accordion instead of tabs: each item is a button with
+ * aria-expanded and each step's panel a region under it.
+ * Below the compact breakpoint the list collapses into a "Step 2 of 4" header.
+ * Steps with a nested sub-stepper list its sub-steps under their indicator.
  * 
  * @param {Object} props
  * @param {Function} props.renderStep - Custom render function for step items (optional)
+ * @param {'horizontal'|'vertical'} props.orientation - Layout and arrow keys (default: 'horizontal')
+ * @param {boolean} props.inlineContent - In vertical orientation, render each step's content
+ *   under its indicator, accordion-style (default: false)
+ * @param {number|false} props.compactBreakpoint - Viewport width (px) at or below which the
+ *   compact header is shown, false to disable (default: 640)
+ * @param {Object} props.classNames - Classes by slot: list, item, indicator, number, label,
+ *   caption, subSteps, subStep, entry, itemContent, compact, compactPosition, compactLabel (optional)
+ * @param {Object} props.slotProps - Extra props by slot; per-step slots may pass a function
+ *   of the step's state (optional)
  * @param {string} props.className - Additional CSS classes
  */
-const StepList = ({ renderStep, className = '' }) => {
+const StepList = ({
+  renderStep,
+  orientation = 'horizontal',
+  inlineContent = false,
+  compactBreakpoint = 640,
+  classNames,
+  slotProps,
+  className = '',
+}) => {
   const { 
     currentStep, 
     setCurrentStep, 
     steps,
+    activeSteps,
     isStepCompleted,
+    isStepValid,
+    isStepVisited,
+    isStepReachable,
+    getStepStatus,
+    getTabId,
+    getPanelId,
+    subSteppers,
+    focusStrategy,
+    isLinear,
+    dir,
+    t,
   } = useStepper();
   
-  const stepRefs = useRef([]);
+  const getSlotProps = useSlots({ classNames, slotProps });
+  const listRef = useRef(null);
+  // Active step the last focus move was for, so only a change of step moves focus
+  const focusedStepRef = useRef(currentStep);
+  const isVertical = orientation === 'vertical';
+  const isCompact = useMediaQuery(compactBreakpoint ? `(max-width: ${compactBreakpoint}px)` : null);
+  const showInlineContent = isVertical && inlineContent;
 
   // Focus management - focus current step when it changes
+  // (other focus strategies move focus into the step panel instead)
   useEffect(() => {
-    if (stepRefs.current[currentStep]) {
-      stepRefs.current[currentStep].focus();
+    if (focusedStepRef.current === currentStep) {
+      return;
+    }
+    focusedStepRef.current = currentStep;
+    if (focusStrategy === 'tab' && steps[currentStep]) {
+      focusStepItem(listRef.current, getTabId(steps[currentStep].id));
     }
-  }, [currentStep]);
+  }, [currentStep, steps, focusStrategy, getTabId]);
+
+  /**
+   * Check if a step can't be activated (disabled, or unreachable in linear mode)
+   */
+  const isStepDisabled = (index) => (
+    Boolean(getStepStatus(index).disabled) || (isLinear && !isStepReachable(index))
+  );
 
   /**
    * Keyboard navigation handler
    * Implements accessibility requirements:
-   * - ArrowLeft/ArrowRight: Navigate between steps
+   * - ArrowLeft/ArrowRight (ArrowUp/ArrowDown when vertical): Navigate between steps,
+   *   mirrored when the Stepper is right-to-left
    * - Home: Go to first step
    * - End: Go to last step
    * - Enter/Space: Activate focused step
+   * Moves between enabled steps on the active path only - skipped steps
+   * aren't rendered and disabled steps are passed over.
    */
   const handleKeyDown = (e, index) => {
-    let newIndex = index;
+    const position = activeSteps.indexOf(steps[index]);
+    const focusableSteps = activeSteps.filter(step => !isStepDisabled(steps.indexOf(step)));
+    const positionOf = (step) => activeSteps.indexOf(step);
+    let targetStep;
+
+    const isRtl = dir === 'rtl';
+    const previousKey = isVertical ? 'ArrowUp' : (isRtl ? 'ArrowRight' : 'ArrowLeft');
+    const nextKey = isVertical ? 'ArrowDown' : (isRtl ? 'ArrowLeft' : 'ArrowRight');
 
     switch (e.key) {
-      case 'ArrowLeft':
+      case previousKey:
         e.preventDefault();
-        newIndex = index > 0 ? index - 1 : index;
+        targetStep = focusableSteps.filter(step => positionOf(step) < position).pop();
         break;
       
-      case 'ArrowRight':
+      case nextKey:
         e.preventDefault();
-        newIndex = index < steps.length - 1 ? index + 1 : index;
+        targetStep = focusableSteps.find(step => positionOf(step) > position);
         break;
       
       case 'Home':
         e.preventDefault();
-        newIndex = 0;
+        targetStep = focusableSteps[0];
         break;
       
       case 'End':
         e.preventDefault();
-        newIndex = steps.length - 1;
+        targetStep = focusableSteps[focusableSteps.length - 1];
         break;
       
       case 'Enter':
       case ' ':
         e.preventDefault();
-        setCurrentStep(index);
+        handleStepClick(index);
         return;
       
       default:
@@ -80,64 +174,199 @@ const StepList = ({ renderStep, className = '' }) => {
     }
 
     // Move focus to new step (but don't activate it)
-    if (newIndex !== index && stepRefs.current[newIndex]) {
-      stepRefs.current[newIndex].focus();
+    if (targetStep && steps.indexOf(targetStep) !== index) {
+      focusStepItem(e.currentTarget.closest('.step-list'), getTabId(targetStep.id));
     }
   };
 
   /**
    * Click handler for step navigation
+   * Disabled steps ignore activation
    */
   const handleStepClick = (index) => {
-    setCurrentStep(index);
+    if (isStepDisabled(index)) {
+      return;
+    }
+    setCurrentStep(index, { source: 'jump' });
+  };
+
+  /**
+   * Collect display state for a step
+   * Steps with an error status, or visited with failing fields, are flagged as invalid
+   */
+  const getStepState = (index) => {
+    const isVisited = isStepVisited(index);
+    const status = getStepStatus(index);
+    return {
+      position: activeSteps.indexOf(steps[index]),
+      isActive: currentStep === index,
+      isCompleted: isStepCompleted(index),
+      isVisited,
+      isValid: isStepValid(index),
+      isInvalid: Boolean(status.error) || (isVisited && !isStepValid(index)),
+      isReachable: isStepReachable(index),
+      isDisabled: isStepDisabled(index),
+      isOptional: Boolean(status.optional),
+      isLoading: Boolean(status.loading),
+      isSkipped: status.skipped,
+      error: status.error,
+      warning: status.warning,
+      status,
+      // Sub-step progress of a nested Stepper, null without one
+      subSteps: subSteppers[steps[index].id]?.steps ?? null,
+    };
+  };
+
+  /**
+   * Text shown under a step's label: an error or warning message, or "Optional"
+   */
+  const getStepCaption = ({ error, warning, isOptional }) => {
+    if (typeof error === 'string') return error;
+    if (typeof warning === 'string') return warning;
+    return isOptional ? t('optional') : null;
+  };
+
+  /**
+   * Indicator content by priority: loading, error, warning, completed, number
+   */
+  const getIndicatorContent = ({ position, isCompleted, isInvalid, isLoading, warning }) => {
+    if (isLoading) return <span className="step-spinner" aria-hidden="true" />;
+    if (isInvalid) return '!';
+    if (warning) return '⚠';
+    if (isCompleted) return '✓';
+    return position + 1;
   };
 
   /**
    * Default step renderer
    */
   const defaultRenderStep = (step, index) => {
-    const isActive = currentStep === index;
-    const isCompleted = isStepCompleted(index);
+    const state = getStepState(index);
+    const { isActive, isCompleted, isInvalid, isDisabled, isOptional, isLoading, warning, subSteps } = state;
+    const caption = getStepCaption(state);
+    const slotState = { ...state, step };
     
     return (
       <div
         key={step.id}
-        ref={el => stepRefs.current[index] = el}
-        className={`step-item ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''}`}
-        role="tab"
-        aria-selected={isActive}
-        aria-controls={`step-panel-${index}`}
-        id={`step-${index}`}
-        tabIndex={isActive ? 0 : -1}
-        onClick={() => handleStepClick(index)}
-        onKeyDown={(e) => handleKeyDown(e, index)}
+        {...getSlotProps('item', {
+          className: cx(
+            'step-item',
+            isActive && 'active',
+            isCompleted && 'completed',
+            isInvalid && 'invalid',
+            !isInvalid && warning && 'warning',
+            isDisabled && 'disabled',
+            isOptional && 'optional',
+            isLoading && 'loading',
+          ),
+          role: showInlineContent ? 'button' : 'tab',
+          'aria-selected': showInlineContent ? undefined : isActive,
+          'aria-expanded': showInlineContent ? isActive : undefined,
+          'aria-invalid': isInvalid || undefined,
+          'aria-disabled': isDisabled || undefined,
+          'aria-busy': isLoading || undefined,
+          'aria-controls': getPanelId(step.id),
+          id: getTabId(step.id),
+          tabIndex: isActive ? 0 : -1,
+          onClick: () => handleStepClick(index),
+          onKeyDown: (e) => handleKeyDown(e, index),
+        }, slotState)}
       >
-        <div className="step-indicator">
-          <span className="step-number">
-            {isCompleted ? '✓' : index + 1}
+        <div {...getSlotProps('indicator', { className: 'step-indicator' }, slotState)}>
+          <span {...getSlotProps('number', { className: 'step-number' }, slotState)}>
+            {getIndicatorContent(state)}
           </span>
         </div>
-        <div className="step-label">{step.label}</div>
+        <div {...getSlotProps('label', { className: 'step-label' }, slotState)}>{step.label}</div>
+        {caption && (
+          <div {...getSlotProps('caption', { className: 'step-caption' }, slotState)}>{caption}</div>
+        )}
+        {subSteps && (
+          <ol {...getSlotProps('subSteps', { className: 'step-substeps' }, slotState)}>
+            {subSteps.map(subStep => (
+              <li
+                key={subStep.id}
+                {...getSlotProps('subStep', {
+                  className: cx('step-substep', subStep.isActive && 'active', subStep.isCompleted && 'completed'),
+                  'aria-current': subStep.isActive ? 'step' : undefined,
+                }, subStep)}
+              >
+                {subStep.label}
+              </li>
+            ))}
+          </ol>
+        )}
       </div>
     );
   };
 
+  // Small screens: a compact "Step 2 of 4" header instead of the full list.
+  // Step panels are labelled by their tab, so the labels stand in for the tabs
+  if (isCompact) {
+    const activeStep = steps[currentStep];
+    const position = activeSteps.indexOf(activeStep);
+
+    return (
+      <div
+        {...getSlotProps('compact', {
+          className: cx('step-list-compact', className),
+          'aria-label': t('stepListLabel'),
+        })}
+      >
+        <span {...getSlotProps('compactPosition', { className: 'step-list-compact-position' })}>
+          {t('stepPosition', { position: position + 1, total: activeSteps.length, count: activeSteps.length })}
+        </span>
+        {activeSteps.map(step => (step === activeStep
+          ? (
+            <span
+              key={step.id}
+              {...getSlotProps('compactLabel', { className: 'step-list-compact-label', id: getTabId(step.id) })}
+            >
+              {step.label}
+            </span>
+          )
+          : <span key={step.id} id={getTabId(step.id)} hidden>{step.label}</span>
+        ))}
+      </div>
+    );
+  }
+
   return (
-    <div 
-      className={`step-list ${className}`}
-      role="tablist"
-      aria-label="Form steps"
+    <div
+      {...getSlotProps('list', {
+        className: cx('step-list', orientation, className),
+        role: showInlineContent ? 'group' : 'tablist',
+        'aria-label': t('stepListLabel'),
+        'aria-orientation': showInlineContent ? undefined : orientation,
+      })}
+      ref={listRef}
     >
-      {steps.map((step, index) => 
-        renderStep 
+      {activeSteps.map(step => {
+        const index = steps.indexOf(step);
+        const item = renderStep 
           ? renderStep(step, index, { 
-              isActive: currentStep === index,
-              isCompleted: isStepCompleted(index),
+              ...getStepState(index),
               onClick: () => handleStepClick(index),
               onKeyDown: (e) => handleKeyDown(e, index),
             })
-          : defaultRenderStep(step, index)
-      )}
+          : defaultRenderStep(step, index);
+
+        if (!showInlineContent) {
+          return item;
+        }
+
+        // Accordion layout: the step's panel renders right under its indicator
+        return (
+          <div key={step.id} {...getSlotProps('entry', { className: 'step-list-entry' })}>
+            {item}
+            <StepContentSlot
+              stepId={step.id}
+              slotProps={getSlotProps('itemContent', { className: 'step-item-content' })}
+            />
+          </div>
+        );
+      })}
     </div>
   );
 };
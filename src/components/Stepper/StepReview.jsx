@@ -0,0 +1,93 @@
+/**
+ * StepReview.jsx
+ *
+ * Summary of the values entered in earlier steps, grouped by step.
+ * Fields and their labels come from useStepField registrations, so the
+ * summary stays in sync with the steps without listing fields by hand.
+ */
+
+import { useContext } from 'react';
+import { useStepper, StepContext } from './StepperContext';
+
+/**
+ * Default display of a field value
+ */
+const formatValue = (value, t) => {
+  if (typeof value === 'boolean') {
+    return t(value ? 'yes' : 'no');
+  }
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return t('notProvided');
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+/**
+ * StepReview - Values of earlier steps with an Edit button per step
+ *
+ * Inside a Step it lists the steps before it on the active path, elsewhere all of them.
+ * Steps without registered fields are left out. Edit goes back to the step, and Next
+ * there returns to the review (see editStep).
+ *
+ * @param {Object} props
+ * @param {Object} props.formatters - (value, values) => display value, by field name (optional)
+ * @param {string[]} props.exclude - Names of fields to leave out (optional)
+ * @param {boolean} props.editable - Show an Edit button per step (default: true)
+ * @param {string} props.className - Additional CSS classes
+ */
+const StepReview = ({
+  formatters = {},
+  exclude = [],
+  editable = true,
+  className = '',
+}) => {
+  const { activeSteps, values, getStepFields, editStep, isTransitioning, t } = useStepper();
+  const ownStep = useContext(StepContext);
+
+  const ownPosition = ownStep ? activeSteps.findIndex(step => step.id === ownStep.id) : -1;
+  const reviewedSteps = ownPosition === -1 ? activeSteps : activeSteps.slice(0, ownPosition);
+
+  const sections = reviewedSteps
+    .map(step => ({
+      step,
+      fields: getStepFields(step.id).filter(field => !exclude.includes(field.name)),
+    }))
+    .filter(section => section.fields.length > 0);
+
+  return (
+    <div className={`stepper-review ${className}`}>
+      {sections.map(({ step, fields }) => (
+        <section key={step.id} className="stepper-review-section">
+          <div className="stepper-review-header">
+            <h4>{step.label}</h4>
+            {editable && (
+              <button
+                type="button"
+                className="stepper-review-edit"
+                onClick={() => editStep(step.id)}
+                disabled={isTransitioning}
+                aria-label={t('editAriaLabel', { label: step.label })}
+              >
+                {t('edit')}
+              </button>
+            )}
+          </div>
+          <dl>
+            {fields.map(({ name, label }) => (
+              <div key={name} className="stepper-review-item">
+                <dt>{label}:</dt>
+                <dd>
+                  {formatters[name]
+                    ? formatters[name](values[name], values)
+                    : formatValue(values[name], t)}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default StepReview;
@@ -2,45 +2,328 @@
  * Stepper.jsx
  * 
  * Main compound component that provides context to all child components.
- * Manages internal state for current step, completed steps, and step navigation.
+ * Manages internal state for current step, completed steps, form values and step navigation.
  * Implements the Compound Component pattern for high API flexibility.
+ * Every navigation path runs through goToStep so guards are always honoured.
  */
 
-import { useState, useCallback, useMemo } from 'react';
-import { StepperContext } from './StepperContext';
+import {
+  forwardRef,
+  useState,
+  useCallback,
+  useEffect,
+  useId,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+} from 'react';
+import { StepperContext, StepperLocaleContext, useStepperLocale } from './StepperContext';
+import { runGuards, isThenable } from './guards';
+import { useStepperForm } from './useStepperForm';
+import { useStepperPersistence } from './useStepperPersistence';
+import { useUrlSync } from './useUrlSync';
+import {
+  useSubSteppers,
+  useParentStepper,
+  useSubStepperStart,
+  useSharedForm,
+  LAST_SUB_STEP,
+} from './useSubSteppers';
+import { usePrefersReducedMotion } from './useStepTransition';
+import { resolveStepStatus } from './stepStatus';
+import { useControllableState } from './useControllableState';
+import { useAnnouncer } from './useAnnouncer';
+import { focusStepPanel } from './focusStrategy';
+import { useStepperEvents } from './useStepperEvents';
+import { useStepperHistory, getHistoryShortcut } from './useStepperHistory';
+import { useLeaveProtection } from './useLeaveProtection';
+import { cx, mergeSlotProps } from './slots';
 import './Stepper.css';
 
+/**
+ * Upper bound on chained guard redirects, protects against redirect loops
+ * Reaching it blocks the transition like a guard that throws
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * Sort comparator ordering registered steps by their position in the document
+ * Step order follows render order, so steps never need manual numbering
+ */
+const compareDocumentOrder = (a, b) => {
+  if (!a.node || !b.node || a.node === b.node) {
+    return 0;
+  }
+  return a.node.compareDocumentPosition(b.node) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+};
+
+/**
+ * Indices of the steps whose ids are in a Set, in step order
+ */
+const indicesOf = (steps, ids) => steps.flatMap((step, index) => (ids.has(step.id) ? [index] : []));
+
+/**
+ * Ids of the steps whose ids are in a Set, in step order
+ */
+const idsOf = (steps, ids) => steps.filter(step => ids.has(step.id)).map(step => step.id);
+
 /**
  * Stepper - Parent compound component
  * 
  * Provides state management and context to child components without prop drilling.
+ * Steps are addressed by id; their index follows render order.
+ * A Stepper rendered inside a Step becomes that step's sub-stepper: the parent's
+ * goToNext/goToPrevious walk through its sub-steps before leaving the step. Its fields are kept in
+ * the root Stepper's form, and it resumes its sub-step when the step is entered again (the last
+ * one when entered backward). Navigation APIs accept a step id or index and report ids.
+ * The active step and completed steps can each be controlled by the parent, and a ref
+ * exposes an imperative handle: next(), previous(), goTo(idOrIndex), reset(), getState().
  * 
  * @param {Object} props
  * @param {React.ReactNode} props.children - Child components (Step, StepList, Navigation)
- * @param {number} props.initialStep - Starting step index (default: 0)
- * @param {Function} props.onStepChange - Callback when step changes (optional)
+ * @param {string|number} props.initialStep - Starting step id or index (default: 0)
+ * @param {string|number} props.activeStep - Active step id or index, makes the active step controlled (optional)
+ * @param {Function} props.onStepChange - Called with (stepId, index) when the step changes (optional)
+ * @param {string[]} props.completedSteps - Completed step ids, makes completion controlled (optional)
+ * @param {Function} props.onCompletedChange - Called with the next completed step ids (optional)
+ * @param {Object} props.initialValues - Initial form values keyed by field name; a nested Stepper
+ *   uses the root Stepper's (optional)
+ * @param {Object} props.persist - Save and restore progress: { key, storage, version } (optional)
+ * @param {boolean|string|Object} props.urlSync - Reflect the active step id in the URL:
+ *   'query', 'hash' or { mode, param, history } (optional)
+ * @param {boolean} props.linear - Only completed steps and the next reachable step can be activated (default: false)
+ * @param {boolean} props.nonLinear - Explicitly allow activating any step, overrides linear (optional)
+ * @param {boolean} props.keepMounted - Keep inactive steps mounted but hidden instead of unmounting them (default: false)
+ * @param {boolean} props.lazy - With keepMounted, mount steps on first visit rather than all up front (default: true)
+ * @param {string|boolean} props.transition - Step transition: 'slide', 'fade', 'custom' or false (default: false)
+ * @param {number} props.transitionDuration - Transition length in ms, also the fallback for
+ *   exit animations that never report their end (default: 300)
+ * @param {string|boolean} props.invalidateOnEdit - Which completed steps lose their completion when
+ *   a field of a step changes: 'step', 'dependents' (steps declaring dependsOn), 'downstream'
+ *   (every later step) or false (default: 'dependents')
+ * @param {Function} props.onComplete - Called with all values when the last step is finished,
+ *   may return a Promise; rejecting sets submitError, returning false cancels (optional)
+ * @param {Function} props.beforeStepChange - Guard run before every transition, may return
+ *   a boolean, a redirect target or a Promise (optional)
+ * @param {Object|false} props.announcements - Screen reader message templates by type
+ *   (stepChange, invalid, blocked, complete), false to turn announcements off (optional)
+ * @param {string} props.locale - BCP 47 locale for plural rules in messages (optional)
+ * @param {Object} props.messages - Overrides for built-in strings, see messages.js (optional)
+ * @param {'ltr'|'rtl'} props.dir - Text direction; 'rtl' mirrors arrow keys and layout (optional)
+ * @param {'tab'|'heading'|'firstInvalid'|'none'} props.focusStrategy - Where focus goes after
+ *   navigation: the active tab, the step panel's heading, the first invalid field (also
+ *   when validation blocks navigation), or nowhere (default: 'tab')
+ * @param {Function} props.onEvent - Called with analytics events, see useStepperEvents.js (optional)
+ * @param {Object} props.tracker - Analytics adapter, { track(event) } (optional)
+ * @param {boolean} props.historyShortcuts - Bind Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z and
+ *   Ctrl+Y to redo while focus is inside the stepper (default: false)
+ * @param {boolean} props.warnOnLeave - Ask the browser to confirm closing or reloading the page
+ *   while there are unsaved changes (default: false)
+ * @param {Function} props.onAttemptLeave - Called by attemptLeave() while there are unsaved
+ *   changes with { currentStepId, values, completedSteps }; return false (or a Promise of false)
+ *   to stay (optional, default: window.confirm)
+ * @param {boolean} props.unstyled - Render without the built-in styles (default: false)
+ * @param {Object} props.classNames - Classes by slot name for this Stepper and every
+ *   StepList, Step and Navigation inside it (optional, see slots.js)
+ * @param {Object} props.slotProps - Extra props, or (state) => props, by slot name (optional)
  * @param {string} props.className - Additional CSS classes
  */
-const Stepper = ({ 
+const Stepper = forwardRef(({ 
   children, 
   initialStep = 0, 
+  activeStep,
   onStepChange,
+  completedSteps: controlledCompletedSteps,
+  onCompletedChange,
+  initialValues = {},
+  persist,
+  urlSync,
+  linear = false,
+  nonLinear = false,
+  keepMounted = false,
+  lazy = true,
+  transition = false,
+  transitionDuration = 300,
+  invalidateOnEdit = 'dependents',
+  onComplete,
+  beforeStepChange,
+  announcements,
+  locale: localeProp,
+  messages: messagesProp,
+  dir: dirProp,
+  focusStrategy = 'tab',
+  onEvent,
+  tracker,
+  historyShortcuts = false,
+  warnOnLeave = false,
+  onAttemptLeave,
+  unstyled = false,
+  classNames,
+  slotProps,
   className = '' 
-}) => {
+}, ref) => {
   // Internal state management without prop drilling
-  const [currentStep, setCurrentStepState] = useState(initialStep);
-  const [completedSteps, setCompletedSteps] = useState(new Set());
+  // Registered steps in render order
   const [steps, setSteps] = useState([]);
+  // A nested Stepper picks up where it was when its step was last left
+  const subStepperStart = useSubStepperStart();
+  // The active step is kept as a step id; a numeric initialStep/activeStep is a position
+  // in render order. currentStep and completedSteps come from props instead when controlled
+  const [currentStepKey, setCurrentStepKey, isStepControlled] = useControllableState(
+    activeStep,
+    subStepperStart ? subStepperStart.currentStepId : initialStep,
+  );
+  const currentStep = typeof currentStepKey === 'string'
+    ? steps.findIndex(s => s.id === currentStepKey)
+    : currentStepKey === LAST_SUB_STEP
+      ? steps.findLastIndex(s => !s.skipped)
+      : currentStepKey;
+  const currentStepId = steps[currentStep]?.id;
+  const completedFromProps = useMemo(() => (
+    controlledCompletedSteps === undefined
+      ? undefined
+      : new Set(controlledCompletedSteps.map(key => (typeof key === 'number' ? steps[key]?.id : key)))
+  ), [controlledCompletedSteps, steps]);
+  const handleCompletedChange = useCallback((next) => {
+    if (onCompletedChange) {
+      onCompletedChange(idsOf(steps, next));
+    }
+  }, [onCompletedChange, steps]);
+  // Completed and visited steps are Sets of step ids
+  const [completedSteps, setCompletedSteps] = useControllableState(
+    completedFromProps,
+    () => new Set(subStepperStart?.completedSteps),
+    handleCompletedChange,
+  );
+  const [visitedSteps, setVisitedSteps] = useState(() => new Set());
+  const [isTransitioning, setIsTransitioning] = useState(false);
+  // Completion lifecycle: onComplete pending, its last failure, and finished
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [isComplete, setIsComplete] = useState(false);
+  // Mounted StepperCompleted slots - without one the last step stays on screen once completed
+  const [completedContentCount, setCompletedContentCount] = useState(0);
+  // Whether persisted progress has been restored
+  const [hasRestored, setHasRestored] = useState(false);
+  // Whether a field has been changed since the start (or the last reset)
+  const [hasEdits, setHasEdits] = useState(false);
+  // Direction of the last navigation: 'forward', 'backward' or null before any
+  const [direction, setDirection] = useState(null);
+  // DOM nodes StepList provides for inline (accordion) step content, keyed by step id
+  const [panelSlots, setPanelSlots] = useState({});
+  // Status overrides set through setStepStatus, keyed by step id
+  const [statusOverrides, setStatusOverrides] = useState({});
+  // Steppers nested in this Stepper's steps, keyed by step id
+  const { subSteppers, registerSubStepper, subStepperProgress, clearSubStepperProgress } = useSubSteppers();
+  // Locale, direction and built-in strings, inherited from a StepperLocaleProvider or parent Stepper
+  const { locale, dir, messages, t } = useStepperLocale({
+    locale: localeProp,
+    messages: messagesProp,
+    dir: dirProp,
+  });
+  const localeValue = useMemo(() => ({ locale, dir, messages }), [locale, dir, messages]);
+  // Live region messages for screen readers
+  const announcementTemplates = useMemo(() => (
+    announcements === false ? false : { ...messages.announcements, ...announcements }
+  ), [messages, announcements]);
+  const { announcement, announce } = useAnnouncer(announcementTemplates, locale);
+  // Step panel to move focus into after rendering: { stepId, preferInvalid }
+  const [focusRequest, setFocusRequest] = useState(null);
+  // Step that asked to edit an earlier one (e.g. a review step); Next goes back to it
+  const [returnTo, setReturnTo] = useState(null);
+  // Controlled mode: move reported through onStepChange, the move once activeStep followed,
+  // and the active step id last seen
+  const [requestedMove, setRequestedMove] = useState(null);
+  const [appliedMove, setAppliedMove] = useState(null);
+  const [trackedStepId, setTrackedStepId] = useState(undefined);
+  const activeSubStepper = subSteppers[currentStepId];
+  const isLinear = linear && !nonLinear;
+  // Animations are off entirely for users who prefer reduced motion
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const activeTransition = prefersReducedMotion ? false : transition;
+  // Form state - a nested Stepper's own form is unused, it shares the root Stepper's
+  const {
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue: setFormFieldValue,
+    mergeValues,
+    resetForm,
+    setFieldTouched,
+    validateStepFields,
+    isStepFieldsValid,
+    getStepFields: getFormStepFields,
+    getFieldStep,
+    getFieldLabel,
+    resetStepFields,
+    sharedForm,
+  } = useSharedForm(useStepperForm(initialValues));
+
+  // Namespace for DOM ids, so several Steppers can share a page
+  const baseId = useId();
+
+  /**
+   * DOM ids of a step's tab (in StepList) and panel (in Step)
+   */
+  const getTabId = useCallback((stepId) => `${baseId}-tab-${String(stepId).replace(/\s+/g, '-')}`, [baseId]);
+  const getPanelId = useCallback((stepId) => `${baseId}-panel-${String(stepId).replace(/\s+/g, '-')}`, [baseId]);
+
+  /**
+   * Apply a restored snapshot of persisted progress
+   * Snapshots store positions, which map to ids through the snapshot's stepIds
+   */
+  const restoreProgress = useCallback((snapshot) => {
+    setHasRestored(true);
+    const toId = (key) => (typeof key === 'number' ? snapshot.stepIds[key] : key);
+    const restoredStepId = toId(snapshot.currentStep);
+
+    setCurrentStepKey(restoredStepId);
+    setCompletedSteps(new Set(snapshot.completedSteps.map(toId)));
+    setVisitedSteps(new Set(snapshot.visitedSteps.map(toId)));
+    if (snapshot.values) {
+      mergeValues(snapshot.values);
+    }
+    // A controlling parent learns about the restored step like any other change
+    if (isStepControlled && onStepChange) {
+      onStepChange(restoredStepId, snapshot.stepIds.indexOf(restoredStepId));
+    }
+  }, [mergeValues, setCurrentStepKey, setCompletedSteps, isStepControlled, onStepChange]);
+
+  // Serializable progress - form values are only included when fields are used
+  // Positions are stored, the snapshot's stepIds say which step each one is
+  const progress = useMemo(() => ({
+    currentStep,
+    completedSteps: indicesOf(steps, completedSteps),
+    visitedSteps: indicesOf(steps, new Set([...visitedSteps, currentStepId])),
+    ...(Object.keys(values).length > 0 && { values }),
+  }), [steps, currentStep, currentStepId, completedSteps, visitedSteps, values]);
+
+  const { clearPersistedState, hasSnapshot } = useStepperPersistence({
+    persist,
+    steps,
+    state: progress,
+    onRestore: restoreProgress,
+    restored: hasRestored,
+    // A completed wizard's snapshot is removed, and must not be written back
+    paused: isComplete,
+  });
+
+  // Guards are kept outside of state - they never affect rendering
+  const guardsRef = useRef(new Map());
+  const pendingTransitionRef = useRef(null);
 
   /**
    * Register a step when it mounts
    * Used by Step components to register themselves in the stepper
+   * stepData.node is the step's element, which places it in render order
    */
   const registerStep = useCallback((stepId, stepData) => {
     setSteps(prev => {
       const existing = prev.find(s => s.id === stepId);
       if (existing) return prev;
-      return [...prev, { id: stepId, ...stepData }].sort((a, b) => a.index - b.index);
+      return [...prev, { id: stepId, ...stepData }].sort(compareDocumentOrder);
     });
   }, []);
 
@@ -51,88 +334,1135 @@ const Stepper = ({
     setSteps(prev => prev.filter(s => s.id !== stepId));
   }, []);
 
+  /**
+   * Register navigation guards for a step
+   * Guards live in a ref so inline functions don't cause re-registration of the step
+   *
+   * @returns {Function} Cleanup that removes the guards
+   */
+  const registerStepGuards = useCallback((stepId, guards) => {
+    guardsRef.current.set(stepId, guards);
+
+    return () => {
+      if (guardsRef.current.get(stepId) === guards) {
+        guardsRef.current.delete(stepId);
+      }
+    };
+  }, []);
+
+  /**
+   * Register the element a step's content should render into (inline content)
+   *
+   * @returns {Function} Cleanup that removes the slot
+   */
+  const registerPanelSlot = useCallback((stepId, node) => {
+    setPanelSlots(prev => ({ ...prev, [stepId]: node }));
+
+    return () => {
+      setPanelSlots(prev => {
+        if (prev[stepId] !== node) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[stepId];
+        return next;
+      });
+    };
+  }, []);
+
+  /**
+   * Register a mounted StepperCompleted, which replaces the steps once completed
+   *
+   * @returns {Function} Cleanup that unregisters it
+   */
+  const registerCompletedContent = useCallback(() => {
+    setCompletedContentCount(count => count + 1);
+    return () => setCompletedContentCount(count => count - 1);
+  }, []);
+
+  // Steps on the active path - skipped steps are left out of navigation and numbering
+  const activeSteps = useMemo(() => steps.filter(s => !s.skipped), [steps]);
+
+  // Analytics events: step time, blocked and back navigation, completion, abandonment
+  const emitEvent = useStepperEvents({ onEvent, tracker, steps, activeSteps, currentStepId, isComplete });
+
+  // Undo/redo of navigation and field edits
+  const {
+    record: recordHistory,
+    travel: travelHistory,
+    clear: clearHistory,
+    canUndo: hasUndo,
+    canRedo: hasRedo,
+  } = useStepperHistory();
+
+  /**
+   * Find a registered step by index or id
+   */
+  const findStep = useCallback((target) => (
+    typeof target === 'string' ? steps.find(s => s.id === target) : steps[target]
+  ), [steps]);
+
+  /**
+   * Get a step's status: Step props merged with imperative overrides
+   *
+   * @param {number|string} target - Step index or id
+   * @returns {Object} { error, warning, optional, disabled, loading, skipped }
+   */
+  const getStepStatus = useCallback((target) => {
+    const step = findStep(target);
+    return resolveStepStatus(step, step && statusOverrides[step.id]);
+  }, [findStep, statusOverrides]);
+
+  /**
+   * Status flags set on a step through setStepStatus, by step id
+   * Step reads skipped from here, as it decides whether it is on the active path
+   */
+  const getStepStatusOverride = useCallback((stepId) => statusOverrides[stepId] ?? {}, [statusOverrides]);
+
+  /**
+   * Override status flags of a step, e.g. setStepStatus('payment', { loading: true })
+   * Overrides take precedence over the Step's props until cleared; { skipped: true } takes a
+   * step off the active path and { skipped: false } puts it back regardless of when/skip
+   */
+  const setStepStatus = useCallback((target, status) => {
+    const step = findStep(target);
+    if (!step) {
+      return;
+    }
+    setStatusOverrides(prev => ({ ...prev, [step.id]: { ...prev[step.id], ...status } }));
+  }, [findStep]);
+
+  /**
+   * Remove all status overrides of a step
+   */
+  const clearStepStatus = useCallback((target) => {
+    const step = findStep(target);
+    if (!step) {
+      return;
+    }
+    setStatusOverrides(prev => {
+      const next = { ...prev };
+      delete next[step.id];
+      return next;
+    });
+  }, [findStep]);
+
+  /**
+   * Get a step's index from its id or index, -1 if it isn't registered
+   */
+  const getStepIndex = useCallback((target) => {
+    const step = findStep(target);
+    return step ? steps.indexOf(step) : -1;
+  }, [steps, findStep]);
+
+  /**
+   * Check if a step is disabled - shown in StepList but never navigated to
+   */
+  const isStepDisabled = useCallback((target) => {
+    return Boolean(getStepStatus(target).disabled);
+  }, [getStepStatus]);
+
+  /**
+   * Resolve a navigation target (step index or step id) to a step index
+   *
+   * @returns {number} Step index, or -1 if the target doesn't exist, is skipped or disabled
+   */
+  const resolveStepIndex = useCallback((target) => {
+    const index = typeof target === 'string'
+      ? steps.findIndex(s => s.id === target)
+      : target;
+    return Number.isInteger(index) && steps[index] && !steps[index].skipped && !isStepDisabled(index)
+      ? index
+      : -1;
+  }, [steps, isStepDisabled]);
+
+  /**
+   * Find the closest step on the active path before or after a step
+   * Disabled steps are passed over
+   *
+   * @param {number} stepIndex - Step to start from
+   * @param {number} offset - 1 for the next step, -1 for the previous step
+   * @returns {number} Step index, or -1 if there is none
+   */
+  const findActiveStep = useCallback((stepIndex, offset) => {
+    for (let i = stepIndex + offset; i >= 0 && i < steps.length; i += offset) {
+      if (!steps[i].skipped && !isStepDisabled(i)) return i;
+    }
+    return -1;
+  }, [steps, isStepDisabled]);
+
+  /**
+   * Check if the user may activate a step yet
+   * Visited and completed steps are reachable, as is the step right after
+   * a completed step or after the active step
+   */
+  const isStepReachable = useCallback((target) => {
+    const stepIndex = getStepIndex(target);
+    const step = steps[stepIndex];
+    if (!step || step.skipped || isStepDisabled(stepIndex)) {
+      return false;
+    }
+    if (stepIndex === currentStep || visitedSteps.has(step.id) || completedSteps.has(step.id)) {
+      return true;
+    }
+    const previousStep = findActiveStep(stepIndex, -1);
+    return previousStep === -1 ||
+      previousStep === currentStep ||
+      completedSteps.has(steps[previousStep].id);
+  }, [steps, currentStep, visitedSteps, completedSteps, getStepIndex, findActiveStep, isStepDisabled]);
+
+  /**
+   * Built-in guard validating the fields of the step being left
+   * Only blocks forward navigation; going back still flags the step's errors
+   */
+  const validateFieldsGuard = useCallback(({ fromStep, direction }) => {
+    // Includes the fields of a nested sub-stepper's sub-steps
+    const isValid = validateStepFields(fromStep.id);
+    return direction === 'backward' || isValid;
+  }, [validateStepFields]);
+
+  /**
+   * Tell screen reader users why navigation didn't happen
+   * With focusStrategy 'firstInvalid', failed validation also focuses the first invalid field
+   */
+  const reportBlocked = useCallback((fromStep, toStep, isInvalid) => {
+    emitEvent('navigationBlocked', fromStep?.id, {
+      reason: isInvalid ? 'validation' : 'guard',
+      toStepId: toStep?.id,
+    });
+    if (isInvalid) {
+      announce('invalid', {
+        position: activeSteps.indexOf(fromStep) + 1,
+        total: activeSteps.length,
+        count: activeSteps.length,
+        label: fromStep.label,
+        id: fromStep.id,
+      });
+      if (focusStrategy === 'firstInvalid') {
+        setFocusRequest({ stepId: fromStep.id, preferInvalid: true });
+      }
+      return;
+    }
+    // Without a target step, Finish was blocked
+    announce('blocked', { label: fromStep?.label, target: toStep ? toStep.label : t('finish') });
+  }, [activeSteps, announce, focusStrategy, emitEvent, t]);
+
+  // Move focus into the step panel once it has rendered
+  useEffect(() => {
+    if (focusRequest) {
+      focusStepPanel(document.getElementById(getPanelId(focusRequest.stepId)), focusRequest.preferInvalid);
+    }
+  }, [focusRequest, getPanelId]);
+
+  /**
+   * Local state following a move: direction, visited steps, review return and focus
+   *
+   * @param {Object} move - { from, to, fromId, toId } indices and ids
+   */
+  const applyNavigationState = useCallback(({ from, to, fromId, toId }) => {
+    setDirection(to > from ? 'forward' : 'backward');
+    setReturnTo(prev => (prev === toId ? null : prev));
+    setVisitedSteps(prev => new Set([...prev, fromId, toId].filter(id => id !== undefined)));
+    if (focusStrategy === 'heading' || focusStrategy === 'firstInvalid') {
+      setFocusRequest({ stepId: toId, preferInvalid: focusStrategy === 'firstInvalid' });
+    }
+  }, [focusStrategy]);
+
+  /**
+   * Completion, history, analytics and the announcement of a move
+   *
+   * @param {Object} move - { from, to, fromId, toId, markCompleted, source }
+   */
+  const reportNavigation = useCallback(({ from, to, fromId, toId, markCompleted, source }) => {
+    // In linear mode, stepping forward to the next step completes the current one
+    if (fromId !== undefined && (markCompleted || (isLinear && to === findActiveStep(from, 1)))) {
+      setCompletedSteps(prev => new Set([...prev, fromId]));
+    }
+    if (source === 'jump') {
+      emitEvent('jump', fromId, { toStepId: toId, direction: to > from ? 'forward' : 'backward' });
+    } else if (to < from) {
+      emitEvent('back', fromId, { toStepId: toId });
+    }
+    if (source !== 'history' && fromId !== undefined) {
+      recordHistory({ type: 'navigation', from: fromId, to: toId });
+    }
+    announce('stepChange', {
+      position: activeSteps.indexOf(steps[to]) + 1,
+      total: activeSteps.length,
+      count: activeSteps.length,
+      label: steps[to].label,
+      id: toId,
+    });
+  }, [steps, activeSteps, isLinear, findActiveStep, setCompletedSteps, emitEvent, recordHistory, announce]);
+
   /**
    * Navigate to a specific step
-   * Synchronizes internal state across all components
+   * Runs field validation, canLeave, canEnter and beforeStepChange guards before committing,
+   * following redirects returned by guards. Resolves synchronously unless
+   * a guard returns a Promise, in which case isTransitioning is set until it settles.
+   *
+   * @param {number|string} target - Step index or step id
+   * @param {Object} options
+   * @param {boolean} options.markCompleted - Mark the step being left as completed
+   * @param {string} options.source - 'jump' when a StepList item was activated, 'history'
+   *   for undo/redo, which isn't recorded again (optional)
+   * @returns {boolean|Promise<boolean>} Whether navigation happened
    */
-  const goToStep = useCallback((stepIndex) => {
-    if (stepIndex >= 0 && stepIndex < steps.length) {
-      setCurrentStepState(stepIndex);
+  const goToStep = useCallback((target, { markCompleted = false, source } = {}) => {
+    if (pendingTransitionRef.current) {
+      return false;
+    }
+
+    const from = currentStep;
+
+    const commit = (to) => {
+      const move = { from, to, fromId: steps[from]?.id, toId: steps[to].id, markCompleted, source };
+      // A controlling parent decides; the move takes effect once activeStep follows
+      if (isStepControlled) {
+        setRequestedMove(move);
+      } else {
+        setCurrentStepKey(move.toId);
+        applyNavigationState(move);
+        reportNavigation(move);
+      }
       if (onStepChange) {
-        onStepChange(stepIndex);
+        onStepChange(move.toId, to);
+      }
+      return true;
+    };
+
+    const attempt = (requested, redirects) => {
+      const to = resolveStepIndex(requested);
+      if (to === -1 || to === from || (isLinear && !isStepReachable(to))) {
+        return false;
+      }
+
+      const fromStep = steps[from];
+      const toStep = steps[to];
+      // Remember whether field validation was what blocked the transition
+      let isInvalid = false;
+      const validateFields = (args) => {
+        isInvalid = !validateFieldsGuard(args);
+        return !isInvalid;
+      };
+      const guards = [
+        fromStep && validateFields,
+        fromStep && guardsRef.current.get(fromStep.id)?.canLeave,
+        guardsRef.current.get(toStep.id)?.canEnter,
+        beforeStepChange,
+      ].filter(Boolean);
+
+      const settle = (outcome) => {
+        if (outcome.type === 'allow') {
+          return commit(to);
+        }
+        if (outcome.type === 'redirect' && redirects < MAX_REDIRECTS) {
+          return attempt(outcome.target, redirects + 1);
+        }
+        if (outcome.type === 'redirect') {
+          console.error(new Error(`Stepper: navigation guards redirected more than ${MAX_REDIRECTS} times`));
+        } else if (outcome.error) {
+          console.error(outcome.error);
+        }
+        reportBlocked(fromStep, toStep, isInvalid);
+        return false;
+      };
+
+      const outcome = runGuards(guards, {
+        from,
+        to,
+        fromStep,
+        toStep,
+        direction: to > from ? 'forward' : 'backward',
+        values,
+      });
+
+      return isThenable(outcome) ? outcome.then(settle) : settle(outcome);
+    };
+
+    const result = attempt(target, 0);
+
+    if (!isThenable(result)) {
+      return result;
+    }
+
+    setIsTransitioning(true);
+    const pending = result.finally(() => {
+      pendingTransitionRef.current = null;
+      setIsTransitioning(false);
+    });
+    pendingTransitionRef.current = pending;
+    return pending;
+  }, [
+    currentStep,
+    setCurrentStepKey,
+    isStepControlled,
+    steps,
+    isLinear,
+    resolveStepIndex,
+    isStepReachable,
+    validateFieldsGuard,
+    reportBlocked,
+    applyNavigationState,
+    reportNavigation,
+    beforeStepChange,
+    onStepChange,
+    values,
+  ]);
+
+  // Controlled mode: apply a requested move once the parent's activeStep reaches its target.
+  // A different step dismisses it - the parent went elsewhere
+  if (trackedStepId !== currentStepId) {
+    setTrackedStepId(currentStepId);
+    if (requestedMove) {
+      setRequestedMove(null);
+      if (requestedMove.toId === currentStepId) {
+        applyNavigationState(requestedMove);
+        setAppliedMove(requestedMove);
       }
     }
-  }, [steps.length, onStepChange]);
+  }
+
+  // The active step left the active path (its when/skip changed): move to the step after it,
+  // or the one before when it was the last. Not guarded - the step can't stay active
+  useEffect(() => {
+    const step = steps[currentStep];
+    if (!step?.skipped || isComplete) {
+      return;
+    }
+    const following = findActiveStep(currentStep, 1);
+    const target = following === -1 ? findActiveStep(currentStep, -1) : following;
+    if (target === -1) {
+      return;
+    }
+
+    const targetStep = steps[target];
+    if (!isStepControlled) {
+      setCurrentStepKey(targetStep.id);
+    }
+    if (onStepChange) {
+      onStepChange(targetStep.id, target);
+    }
+    announce('stepChange', {
+      position: activeSteps.indexOf(targetStep) + 1,
+      total: activeSteps.length,
+      count: activeSteps.length,
+      label: targetStep.label,
+      id: targetStep.id,
+    });
+  }, [steps, activeSteps, currentStep, isComplete, findActiveStep, isStepControlled, setCurrentStepKey, onStepChange, announce]);
+
+  // Completion and other reports may call the parent, so they wait for the commit
+  const reportNavigationRef = useRef(reportNavigation);
+  useEffect(() => {
+    reportNavigationRef.current = reportNavigation;
+  });
+  useEffect(() => {
+    if (appliedMove) {
+      reportNavigationRef.current(appliedMove);
+    }
+  }, [appliedMove]);
+
+  // A sub-stepper in the active step extends the boundaries by its sub-steps
+  const isFirstStep = findActiveStep(currentStep, -1) === -1 &&
+    (!activeSubStepper || activeSubStepper.isFirstStep);
+  const isLastStep = steps.length > 0 &&
+    findActiveStep(currentStep, 1) === -1 &&
+    (!activeSubStepper || activeSubStepper.isLastStep);
+  const isNavigating = isTransitioning || Boolean(activeSubStepper?.isTransitioning);
+
+  // After editStep, Next returns to the requesting step - once every step in between is completed
+  const returnIndex = returnTo === null ? -1 : getStepIndex(returnTo);
+  const returnStepId = returnIndex > currentStep &&
+    activeSteps
+      .filter(step => steps.indexOf(step) > currentStep && steps.indexOf(step) < returnIndex)
+      .every(step => completedSteps.has(step.id))
+    ? returnTo
+    : null;
 
   /**
-   * Navigate to next step
+   * Navigate to next step on the active path
+   * The current step is marked as completed once the transition is allowed
+   * If the current step has a sub-stepper, its next sub-step comes first
+   * While editing a step (editStep), Next returns to the step that asked for the edit
    */
   const goToNext = useCallback(() => {
-    if (currentStep < steps.length - 1) {
-      // Mark current step as completed when moving forward
-      setCompletedSteps(prev => new Set([...prev, currentStep]));
-      goToStep(currentStep + 1);
+    if (activeSubStepper && !activeSubStepper.isLastStep) {
+      return activeSubStepper.goToNext();
+    }
+    if (returnStepId !== null) {
+      return goToStep(returnStepId, { markCompleted: true });
     }
-  }, [currentStep, steps.length, goToStep]);
+    const nextStep = findActiveStep(currentStep, 1);
+    if (nextStep !== -1) {
+      return goToStep(nextStep, { markCompleted: true });
+    }
+    return false;
+  }, [activeSubStepper, returnStepId, currentStep, findActiveStep, goToStep]);
+
+  /**
+   * Go to an earlier step to change it, e.g. from a review step
+   * Next then brings the user back to the current step instead of walking every step again
+   *
+   * @param {number|string} target - Step index or id
+   * @returns {boolean|Promise<boolean>} Whether navigation happened
+   */
+  const editStep = useCallback((target) => {
+    const fromId = currentStepId;
+    const settle = (navigated) => {
+      if (navigated) {
+        setReturnTo(fromId);
+      }
+      return navigated;
+    };
+    const result = goToStep(target);
+    return isThenable(result) ? result.then(settle) : settle(result);
+  }, [currentStepId, goToStep]);
 
   /**
-   * Navigate to previous step
+   * Navigate to previous step on the active path
+   * If the current step has a sub-stepper, its previous sub-step comes first
    */
   const goToPrevious = useCallback(() => {
-    if (currentStep > 0) {
-      goToStep(currentStep - 1);
+    if (activeSubStepper && !activeSubStepper.isFirstStep) {
+      return activeSubStepper.goToPrevious();
+    }
+    const previousStep = findActiveStep(currentStep, -1);
+    if (previousStep !== -1) {
+      return goToStep(previousStep);
     }
-  }, [currentStep, goToStep]);
+    return false;
+  }, [activeSubStepper, currentStep, findActiveStep, goToStep]);
+
+  /**
+   * Finish the wizard from the last step
+   * Runs field validation, the step's canLeave and beforeStepChange like any other move
+   * (with to -1 and toStep null; a redirect navigates there instead), then calls onComplete
+   * with all values. An async onComplete sets isSubmitting until it settles; a rejection
+   * becomes submitError and the user stays on the last step to retry. Returning false cancels.
+   * Persisted progress is cleared once the stepper has completed.
+   *
+   * @returns {boolean|Promise<boolean>} Whether the stepper completed
+   */
+  const complete = useCallback(() => {
+    const step = steps[currentStep];
+    if (!step || !isLastStep || isSubmitting || isComplete || pendingTransitionRef.current) {
+      return false;
+    }
+
+    // Remember whether field validation was what blocked finishing
+    let isInvalid = false;
+    const validateFields = (args) => {
+      isInvalid = !validateFieldsGuard(args);
+      return !isInvalid;
+    };
+    const guards = [
+      validateFields,
+      guardsRef.current.get(step.id)?.canLeave,
+      beforeStepChange,
+    ].filter(Boolean);
+
+    const submit = () => {
+      setCompletedSteps(prev => new Set([...prev, step.id]));
+      setSubmitError(null);
+
+      const settle = (resolved) => {
+        if (resolved === false) {
+          return false;
+        }
+        setIsComplete(true);
+        clearPersistedState();
+        announce('complete', { total: activeSteps.length, count: activeSteps.length });
+        return true;
+      };
+      const fail = (error) => {
+        setSubmitError(error);
+        return false;
+      };
+
+      let result;
+      try {
+        result = onComplete ? onComplete(values) : undefined;
+      } catch (error) {
+        return fail(error);
+      }
+
+      if (isThenable(result)) {
+        setIsSubmitting(true);
+        return result
+          .then(settle, fail)
+          .finally(() => setIsSubmitting(false));
+      }
+      return settle(result);
+    };
+
+    const proceed = (outcome) => {
+      if (outcome.type === 'allow') {
+        return submit();
+      }
+      if (outcome.type === 'redirect') {
+        return goToStep(outcome.target);
+      }
+      if (outcome.error) {
+        console.error(outcome.error);
+      }
+      reportBlocked(step, null, isInvalid);
+      return false;
+    };
+
+    const outcome = runGuards(guards, {
+      from: currentStep,
+      to: -1,
+      fromStep: step,
+      toStep: null,
+      direction: 'forward',
+      values,
+    });
+    if (!isThenable(outcome)) {
+      return proceed(outcome);
+    }
+
+    setIsTransitioning(true);
+    const pending = outcome.finally(() => {
+      pendingTransitionRef.current = null;
+      setIsTransitioning(false);
+    });
+    pendingTransitionRef.current = pending;
+    return pending.then(proceed);
+  }, [
+    steps,
+    currentStep,
+    isLastStep,
+    isSubmitting,
+    isComplete,
+    activeSteps,
+    validateFieldsGuard,
+    beforeStepChange,
+    goToStep,
+    reportBlocked,
+    announce,
+    setCompletedSteps,
+    clearPersistedState,
+    onComplete,
+    values,
+  ]);
 
   /**
    * Mark a step as completed
    */
-  const markStepCompleted = useCallback((stepIndex) => {
-    setCompletedSteps(prev => new Set([...prev, stepIndex]));
-  }, []);
+  const markStepCompleted = useCallback((target) => {
+    const step = findStep(target);
+    if (step) {
+      setCompletedSteps(prev => new Set([...prev, step.id]));
+    }
+  }, [findStep, setCompletedSteps]);
+
+  /**
+   * Collect a step and the steps invalidated along with it
+   *
+   * @param {number} stepIndex - Step whose data changed
+   * @param {string} scope - 'step', 'dependents' or 'downstream'
+   * @returns {number[]} Step indices
+   */
+  const getInvalidatedSteps = useCallback((stepIndex, scope) => {
+    if (scope === 'downstream') {
+      return steps.map((_, index) => index).filter(index => index >= stepIndex);
+    }
+    if (scope !== 'dependents') {
+      return [stepIndex];
+    }
+
+    // Follow dependsOn transitively: a dependent's dependents are invalidated too
+    const invalidated = new Set([stepIndex]);
+    let added = true;
+    while (added) {
+      added = false;
+      steps.forEach((step, index) => {
+        const dependsOnInvalidated = step.dependsOn?.some(id => (
+          invalidated.has(steps.findIndex(s => s.id === id))
+        ));
+        if (!invalidated.has(index) && dependsOnInvalidated) {
+          invalidated.add(index);
+          added = true;
+        }
+      });
+    }
+    return [...invalidated];
+  }, [steps]);
+
+  /**
+   * Remove a step's completion, along with the steps in scope
+   *
+   * @param {number|string} target - Step index or id
+   * @param {string} scope - 'step', 'dependents' or 'downstream'
+   *   (default: the invalidateOnEdit setting, or 'step' when it's off)
+   */
+  const markStepIncomplete = useCallback((target, scope = invalidateOnEdit || 'step') => {
+    const step = findStep(target);
+    if (!step) {
+      return;
+    }
+    const invalidated = getInvalidatedSteps(steps.indexOf(step), scope).map(index => steps[index].id);
+    setCompletedSteps(prev => {
+      if (!invalidated.some(id => prev.has(id))) {
+        return prev;
+      }
+      return new Set([...prev].filter(id => !invalidated.includes(id)));
+    });
+  }, [steps, findStep, getInvalidatedSteps, invalidateOnEdit, setCompletedSteps]);
+
+  /**
+   * Reset a step: its fields go back to their initial values and it is marked incomplete
+   */
+  const resetStep = useCallback((target, scope) => {
+    const step = findStep(target);
+    if (!step) {
+      return;
+    }
+    resetStepFields(step.id);
+    markStepIncomplete(step.id, scope);
+  }, [findStep, resetStepFields, markStepIncomplete]);
+
+  /**
+   * Change a field value without recording it in the undo history
+   * Editing a field invalidates the completion of its step (and dependents, per invalidateOnEdit)
+   */
+  const applyFieldValue = useCallback((name, value) => {
+    setFormFieldValue(name, value);
+    if (Object.is(values[name], value)) {
+      return;
+    }
+    setHasEdits(true);
+
+    const stepId = getFieldStep(name);
+    if (invalidateOnEdit && stepId !== undefined) {
+      markStepIncomplete(stepId, invalidateOnEdit);
+    }
+  }, [setFormFieldValue, getFieldStep, invalidateOnEdit, values, markStepIncomplete]);
+
+  /**
+   * Update a field value, recording the edit so it can be undone
+   */
+  const setFieldValue = useCallback((name, value) => {
+    if (!Object.is(values[name], value)) {
+      recordHistory({ type: 'field', name, from: values[name], to: value });
+    }
+    applyFieldValue(name, value);
+  }, [values, recordHistory, applyFieldValue]);
+
+  /**
+   * Apply a history entry: its `from` value when undoing, its `to` value when redoing
+   * Navigation runs through the guards; entries for steps that are gone, skipped or disabled
+   * are dropped, so they don't hold up the entries under them
+   */
+  const applyHistoryEntry = useCallback((entry, action) => {
+    const value = action === 'undo' ? entry.from : entry.to;
+    if (entry.type === 'navigation') {
+      const index = resolveStepIndex(value);
+      if (index === -1) {
+        return null;
+      }
+      return index === currentStep || goToStep(index, { source: 'history' });
+    }
+    applyFieldValue(entry.name, value);
+    return true;
+  }, [resolveStepIndex, currentStep, goToStep, applyFieldValue]);
+
+  // Nothing to undo once completed, or while a guarded transition is pending
+  const canUndo = hasUndo && !isComplete && !isNavigating;
+  const canRedo = hasRedo && !isComplete && !isNavigating;
+
+  /**
+   * Undo the last navigation or field edit
+   *
+   * @returns {boolean|Promise<boolean>} Whether something was undone
+   */
+  const undo = useCallback(() => (
+    canUndo ? travelHistory('undo', applyHistoryEntry) : false
+  ), [canUndo, travelHistory, applyHistoryEntry]);
+
+  /**
+   * Redo the last undone navigation or field edit
+   *
+   * @returns {boolean|Promise<boolean>} Whether something was redone
+   */
+  const redo = useCallback(() => (
+    canRedo ? travelHistory('redo', applyHistoryEntry) : false
+  ), [canRedo, travelHistory, applyHistoryEntry]);
+
+  /**
+   * Undo/redo keyboard shortcuts (historyShortcuts)
+   * Without anything to undo or redo the browser's own handling is left alone
+   */
+  const handleHistoryKeyDown = (e) => {
+    const action = getHistoryShortcut(e);
+    if (!action || e.defaultPrevented || !(action === 'undo' ? canUndo : canRedo)) {
+      return;
+    }
+    // Handled here, so an enclosing Stepper leaves it alone
+    e.preventDefault();
+    if (action === 'undo') {
+      undo();
+    } else {
+      redo();
+    }
+  };
 
   /**
    * Check if a step is completed
    */
-  const isStepCompleted = useCallback((stepIndex) => {
-    return completedSteps.has(stepIndex);
-  }, [completedSteps]);
+  const isStepCompleted = useCallback((target) => {
+    const step = findStep(target);
+    return Boolean(step) && completedSteps.has(step.id);
+  }, [findStep, completedSteps]);
+
+  /**
+   * Validate all fields of a step
+   *
+   * @returns {boolean} True if the step's fields are valid
+   */
+  const validateStep = useCallback((target) => {
+    const step = findStep(target);
+    return step ? validateStepFields(step.id) : true;
+  }, [findStep, validateStepFields]);
+
+  /**
+   * Check if a step's fields are valid (based on the last validation)
+   */
+  const isStepValid = useCallback((target) => {
+    const step = findStep(target);
+    return step ? isStepFieldsValid(step.id) : true;
+  }, [findStep, isStepFieldsValid]);
+
+  /**
+   * List the fields registered to a step, in registration order
+   *
+   * @returns {Object[]} { name, label } - label falls back to the field name
+   */
+  const getStepFields = useCallback((target) => {
+    const step = findStep(target);
+    return step
+      ? getFormStepFields(step.id).map(name => ({ name, label: getFieldLabel(name) ?? name }))
+      : [];
+  }, [findStep, getFormStepFields, getFieldLabel]);
+
+  /**
+   * Check if a step is skipped by its when/skip predicate
+   */
+  const isStepSkipped = useCallback((target) => {
+    return Boolean(findStep(target)?.skipped);
+  }, [findStep]);
+
+  /**
+   * Check if a step has been visited - the active step always has
+   */
+  const isStepVisited = useCallback((target) => {
+    const step = findStep(target);
+    return Boolean(step) && (step.id === currentStepId || visitedSteps.has(step.id));
+  }, [findStep, currentStepId, visitedSteps]);
+
+  // Unsaved changes: the user has moved past the first step or changed a field, and not completed
+  const isDirty = !isComplete && (hasEdits || visitedSteps.size > 0);
+
+  const attemptLeave = useLeaveProtection({
+    isDirty,
+    warnOnLeave,
+    onAttemptLeave,
+    getDetail: () => ({ currentStepId, values, completedSteps: idsOf(steps, completedSteps) }),
+    confirmMessage: t('leaveConfirm'),
+  });
+
+  useUrlSync({
+    urlSync,
+    steps,
+    currentStep,
+    goToStep,
+    isStepReachable,
+    isRestoring: hasSnapshot && !hasRestored,
+  });
+
+  /**
+   * Start over: back to the initial step with initial values and no progress
+   * Not guarded - guards protect navigation, not a deliberate reset
+   */
+  const reset = useCallback(() => {
+    setCurrentStepKey(initialStep);
+    setCompletedSteps(new Set());
+    setVisitedSteps(new Set());
+    setStatusOverrides({});
+    setDirection(null);
+    setReturnTo(null);
+    setRequestedMove(null);
+    setIsComplete(false);
+    setSubmitError(null);
+    setHasEdits(false);
+    resetForm();
+    clearSubStepperProgress();
+    clearHistory();
+    if (isStepControlled && onStepChange) {
+      const initialIndex = getStepIndex(initialStep);
+      onStepChange(steps[initialIndex]?.id, initialIndex);
+    }
+  }, [
+    initialStep,
+    steps,
+    getStepIndex,
+    setCurrentStepKey,
+    setCompletedSteps,
+    resetForm,
+    clearSubStepperProgress,
+    clearHistory,
+    isStepControlled,
+    onStepChange,
+  ]);
+
+  // Register with the enclosing Stepper when nested in one of its steps
+  useParentStepper({
+    goToNext,
+    goToPrevious,
+    validateStep,
+    activeSteps,
+    currentStepId,
+    completedSteps,
+    isFirstStep,
+    isLastStep,
+    isTransitioning: isNavigating,
+  });
 
   // Memoize context value to prevent unnecessary re-renders
   const contextValue = useMemo(() => ({
     currentStep,
+    currentStepId,
     setCurrentStep: goToStep,
+    goToStep,
     goToNext,
     goToPrevious,
+    editStep,
+    returnStepId,
+    complete,
+    reset,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    isSubmitting,
+    submitError,
+    isComplete,
+    hasCompletedContent: completedContentCount > 0,
+    registerCompletedContent,
+    isDirty,
+    attemptLeave,
     steps,
+    activeSteps,
+    getStepIndex,
+    getTabId,
+    getPanelId,
     registerStep,
     unregisterStep,
+    registerStepGuards,
+    panelSlots,
+    registerPanelSlot,
+    announce,
+    focusStrategy,
+    classNames,
+    slotProps,
+    t,
+    locale,
+    dir,
+    subSteppers,
+    registerSubStepper,
+    subStepperProgress,
+    sharedForm,
+    isStepSkipped,
+    getStepStatus,
+    setStepStatus,
+    clearStepStatus,
+    getStepStatusOverride,
+    isStepDisabled,
     completedSteps,
     markStepCompleted,
+    markStepIncomplete,
+    resetStep,
     isStepCompleted,
-    totalSteps: steps.length,
-    isFirstStep: currentStep === 0,
-    isLastStep: currentStep === steps.length - 1,
+    isTransitioning: isNavigating,
+    visitedSteps,
+    isStepVisited,
+    isStepReachable,
+    isLinear,
+    keepMounted,
+    lazy,
+    direction,
+    transition: activeTransition,
+    transitionDuration,
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue,
+    setFieldTouched,
+    validateStep,
+    isStepValid,
+    getStepFields,
+    clearPersistedState,
+    totalSteps: activeSteps.length,
+    activeStepPosition: activeSteps.indexOf(steps[currentStep]),
+    isFirstStep,
+    isLastStep,
   }), [
     currentStep,
+    currentStepId,
     goToStep,
     goToNext,
     goToPrevious,
+    editStep,
+    returnStepId,
+    complete,
+    reset,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    isSubmitting,
+    submitError,
+    isComplete,
+    completedContentCount,
+    registerCompletedContent,
+    isDirty,
+    attemptLeave,
     steps,
+    activeSteps,
+    getStepIndex,
+    getTabId,
+    getPanelId,
     registerStep,
     unregisterStep,
+    registerStepGuards,
+    panelSlots,
+    registerPanelSlot,
+    announce,
+    focusStrategy,
+    classNames,
+    slotProps,
+    t,
+    locale,
+    dir,
+    subSteppers,
+    registerSubStepper,
+    subStepperProgress,
+    sharedForm,
+    isStepSkipped,
+    getStepStatus,
+    setStepStatus,
+    clearStepStatus,
+    getStepStatusOverride,
+    isStepDisabled,
     completedSteps,
     markStepCompleted,
+    markStepIncomplete,
+    resetStep,
     isStepCompleted,
+    isNavigating,
+    visitedSteps,
+    isStepVisited,
+    isStepReachable,
+    isLinear,
+    keepMounted,
+    lazy,
+    direction,
+    activeTransition,
+    transitionDuration,
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue,
+    setFieldTouched,
+    validateStep,
+    isStepValid,
+    getStepFields,
+    clearPersistedState,
+    isFirstStep,
+    isLastStep,
+  ]);
+
+  // Imperative handle for driving the wizard from outside
+  useImperativeHandle(ref, () => ({
+    next: goToNext,
+    previous: goToPrevious,
+    goTo: goToStep,
+    complete,
+    reset,
+    undo,
+    redo,
+    attemptLeave,
+    getState: () => ({
+      currentStep,
+      currentStepId,
+      completedSteps: idsOf(steps, completedSteps),
+      visitedSteps: idsOf(steps, new Set([...visitedSteps, currentStepId])),
+      values,
+      errors,
+      totalSteps: activeSteps.length,
+      isFirstStep,
+      isLastStep,
+      isComplete,
+      isDirty,
+    }),
+  }), [
+    goToNext,
+    goToPrevious,
+    goToStep,
+    complete,
+    reset,
+    undo,
+    redo,
+    attemptLeave,
+    currentStep,
+    currentStepId,
+    steps,
+    activeSteps,
+    completedSteps,
+    visitedSteps,
+    values,
+    errors,
+    isFirstStep,
+    isLastStep,
+    isComplete,
+    isDirty,
   ]);
 
+  const slotLayers = [{ classNames, slotProps }];
+
   return (
     <StepperContext.Provider value={contextValue}>
-      <div className={`stepper ${className}`}>
-        {children}
-      </div>
+      <StepperLocaleContext.Provider value={localeValue}>
+        <div
+          {...mergeSlotProps('root', slotLayers, {
+            className: cx('stepper', !unstyled && 'stepper-themed', activeTransition && 'stepper-animated', className),
+            dir,
+            'aria-busy': isNavigating,
+          })}
+          {...(historyShortcuts && { onKeyDown: handleHistoryKeyDown })}
+        >
+          {children}
+          <div
+            {...mergeSlotProps('announcer', slotLayers, {
+              className: 'stepper-announcer',
+              role: 'status',
+              'aria-live': 'polite',
+              'aria-atomic': 'true',
+            })}
+          >
+            {announcement.message && <span key={announcement.id}>{announcement.message}</span>}
+          </div>
+        </div>
+      </StepperLocaleContext.Provider>
     </StepperContext.Provider>
   );
-};
+});
+
+Stepper.displayName = 'Stepper';
 
 export default Stepper;
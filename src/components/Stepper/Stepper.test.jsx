@@ -5,10 +5,44 @@
  * Tests keyboard navigation, ARIA attributes, and state synchronization.
  */
 
-import { describe, it, expect, vi } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRef, useState } from 'react';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import { Stepper, Step, StepList, Navigation } from './index';
+import { readFileSync } from 'node:fs';
+import {
+  Stepper,
+  Step,
+  StepList,
+  Navigation,
+  StepperCompleted,
+  StepperProgress,
+  StepReview,
+  StepperLocaleProvider,
+  useStepper,
+  useStepField,
+  useStepTransition,
+} from './index';
+
+/**
+ * Text input bound to a form field, labelled for queries and StepReview
+ */
+const TextField = ({ name, label, initialValue, validate }) => {
+  const field = useStepField(name, { initialValue, validate, label });
+  return <input aria-label={label} {...field.inputProps} />;
+};
+
+/**
+ * Validator that fails with message while the value is empty
+ */
+const required = (message) => (value) => (value ? undefined : message);
+
+/**
+ * Render factory for a fixed set of steps, taking the Stepper's props per test
+ */
+const createWizard = (children) => (props = {}) => render(
+  <Stepper {...props}>{children}</Stepper>
+);
 
 describe('Stepper Compound Component', () => {
   /**
@@ -18,13 +52,13 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
-        <Step id="step3" index={2} label="Step 3">
+        <Step id="step3" label="Step 3">
           Content 3
         </Step>
         <Navigation />
@@ -51,10 +85,10 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
       </Stepper>
@@ -75,7 +109,8 @@ describe('Stepper Compound Component', () => {
     // Check tabpanel role
     const tabpanel = screen.getByRole('tabpanel');
     expect(tabpanel).toBeInTheDocument();
-    expect(tabpanel).toHaveAttribute('id', 'step-panel-0');
+    expect(tabpanel).toHaveAttribute('id', tabs[0].getAttribute('aria-controls'));
+    expect(tabpanel).toHaveAttribute('aria-labelledby', tabs[0].id);
   });
 
   /**
@@ -87,13 +122,13 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
-        <Step id="step3" index={2} label="Step 3">
+        <Step id="step3" label="Step 3">
           Content 3
         </Step>
       </Stepper>
@@ -127,13 +162,13 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
-        <Step id="step3" index={2} label="Step 3">
+        <Step id="step3" label="Step 3">
           Content 3
         </Step>
       </Stepper>
@@ -163,10 +198,10 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
       </Stepper>
@@ -198,10 +233,10 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
         <Navigation />
@@ -232,12 +267,12 @@ describe('Stepper Compound Component', () => {
    * Test: Button disabled states
    */
   it('disables Previous button on first step and Next button on last step', () => {
-    const { rerender } = render(
+    render(
       <Stepper initialStep={0}>
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
         <Navigation />
@@ -259,7 +294,7 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           {({ isActive, isCompleted, index }) => (
             <div>
               <div>Active: {isActive ? 'Yes' : 'No'}</div>
@@ -286,10 +321,10 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
         <Navigation />
@@ -321,10 +356,10 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
         <Navigation />
@@ -353,13 +388,13 @@ describe('Stepper Compound Component', () => {
     render(
       <Stepper>
         <StepList />
-        <Step id="step1" index={0} label="Step 1">
+        <Step id="step1" label="Step 1">
           Content 1
         </Step>
-        <Step id="step2" index={1} label="Step 2">
+        <Step id="step2" label="Step 2">
           Content 2
         </Step>
-        <Step id="step3" index={2} label="Step 3">
+        <Step id="step3" label="Step 3">
           Content 3
         </Step>
       </Stepper>
@@ -375,3 +410,2501 @@ describe('Stepper Compound Component', () => {
     expect(screen.queryByText('Content 1')).not.toBeInTheDocument();
   });
 });
+
+describe('Navigation guards', () => {
+  /**
+   * Test: canLeave returning false blocks navigation
+   */
+  it('blocks Next and StepList clicks when canLeave returns false', async () => {
+    const user = userEvent.setup();
+    const canLeave = vi.fn(() => false);
+
+    render(
+      <Stepper>
+        <StepList />
+        <Step id="step1" label="Step 1" canLeave={canLeave}>
+          Content 1
+        </Step>
+        <Step id="step2" label="Step 2">
+          Content 2
+        </Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getAllByRole('tab')[1]);
+
+    expect(canLeave).toHaveBeenCalledTimes(2);
+    expect(canLeave).toHaveBeenCalledWith(expect.objectContaining({
+      from: 0,
+      to: 1,
+      direction: 'forward',
+    }));
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(screen.getAllByRole('tab')[0]).not.toHaveClass('completed');
+  });
+
+  /**
+   * Test: Navigation onNext returning false cancels navigation
+   */
+  it('honours onNext returning false', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <Stepper>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation onNext={() => false} />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: async guards expose isTransitioning while pending
+   */
+  it('exposes isTransitioning while an async guard is pending', async () => {
+    const user = userEvent.setup();
+    let resolveGuard;
+    const canEnter = () => new Promise(resolve => { resolveGuard = resolve; });
+
+    const Status = () => {
+      const { isTransitioning } = useStepper();
+      return <div>{isTransitioning ? 'Busy' : 'Idle'}</div>;
+    };
+
+    render(
+      <Stepper>
+        <Status />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2" canEnter={canEnter}>Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Busy')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /next/i })).toBeDisabled();
+
+    resolveGuard(true);
+
+    expect(await screen.findByText('Content 2')).toBeInTheDocument();
+    await waitFor(() => expect(screen.getByText('Idle')).toBeInTheDocument());
+  });
+
+  /**
+   * Test: guards can redirect to another step by id
+   */
+  it('follows redirects returned by guards', async () => {
+    const user = userEvent.setup();
+    const onStepChange = vi.fn();
+
+    render(
+      <Stepper
+        onStepChange={onStepChange}
+        beforeStepChange={({ to }) => (to === 2 ? 'step2' : true)}
+      >
+        <StepList />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+      </Stepper>
+    );
+
+    fireEvent.keyDown(screen.getAllByRole('tab')[2], { key: 'Enter' });
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(onStepChange).toHaveBeenCalledWith('step2', 1);
+
+    await user.click(screen.getAllByRole('tab')[0]);
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: a redirect to the step being entered allows it, a redirect loop blocks without throwing
+   */
+  it('allows redirects to the target and blocks redirect loops', async () => {
+    const user = userEvent.setup();
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    render(
+      <Stepper beforeStepChange={({ toStep }) => toStep.id}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3" canEnter={async () => 'step4'}>Content 3</Step>
+        <Step id="step4" label="Step 4" canEnter={async () => 'step3'}>Content 4</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await waitFor(() => expect(consoleError).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.stringMatching(/redirected more than/),
+    })));
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    await waitFor(() => expect(screen.getByRole('button', { name: /next/i })).toBeEnabled());
+
+    consoleError.mockRestore();
+  });
+});
+
+describe('Form state and validation', () => {
+  const NameField = () => {
+    const field = useStepField('name', {
+      validate: (value) => (value.trim() ? undefined : 'Name is required'),
+    });
+
+    return (
+      <div>
+        <label htmlFor="name">Name</label>
+        <input id="name" {...field.inputProps} />
+        {field.invalid && <span>{field.error}</span>}
+      </div>
+    );
+  };
+
+  const renderForm = () => render(
+    <Stepper>
+      <StepList />
+      <Step id="step1" label="Step 1">
+        <NameField />
+      </Step>
+      <Step id="step2" label="Step 2">
+        Content 2
+      </Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  /**
+   * Test: invalid fields block advancing and show errors
+   */
+  it('validates the current step fields before advancing', async () => {
+    const user = userEvent.setup();
+    renderForm();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(screen.queryByText('Content 2')).not.toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+
+    expect(screen.queryByText('Name is required')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: values survive navigation
+   */
+  it('keeps field values when a step is left and revisited', async () => {
+    const user = userEvent.setup();
+    renderForm();
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+
+    expect(screen.getByLabelText('Name')).toHaveValue('Ada');
+  });
+
+  /**
+   * Test: visited invalid steps are flagged in StepList
+   */
+  it('flags visited steps with invalid fields in StepList', async () => {
+    const user = userEvent.setup();
+    renderForm();
+
+    const tabs = screen.getAllByRole('tab');
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    await user.clear(screen.getByLabelText('Name'));
+    await user.click(tabs[1]);
+
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(tabs[0]).toHaveClass('invalid');
+    expect(tabs[0]).toHaveAttribute('aria-invalid', 'true');
+    expect(tabs[1]).not.toHaveClass('invalid');
+  });
+});
+
+describe('Conditional steps', () => {
+  const AccountTypeField = () => {
+    const field = useStepField('accountType', { initialValue: 'personal' });
+
+    return (
+      <label>
+        Business
+        <input
+          type="checkbox"
+          checked={field.value === 'business'}
+          onChange={(e) => field.setValue(e.target.checked ? 'business' : 'personal')}
+        />
+      </label>
+    );
+  };
+
+  const Progress = () => {
+    const { activeStepPosition, totalSteps } = useStepper();
+    return <div>Step {activeStepPosition + 1} of {totalSteps}</div>;
+  };
+
+  const renderConditional = () => render(
+    <Stepper>
+      <StepList />
+      <Progress />
+      <Step id="account" label="Account">
+        <AccountTypeField />
+      </Step>
+      <Step id="company" label="Company" when={(values) => values.accountType === 'business'}>
+        Company content
+      </Step>
+      <Step id="contact" label="Contact" skip={(values) => values.existingCustomer}>
+        Contact content
+      </Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  /**
+   * Test: steps excluded by when() are left out of navigation and numbering
+   */
+  it('skips steps whose when predicate is false', async () => {
+    const user = userEvent.setup();
+    renderConditional();
+
+    expect(screen.getAllByRole('tab')).toHaveLength(2);
+    expect(screen.queryByText('Company')).not.toBeInTheDocument();
+    expect(screen.getByText('Step 1 of 2')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Contact content')).toBeInTheDocument();
+    expect(screen.getByText('Step 2 of 2')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /finish/i })).toBeEnabled();
+
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+
+    expect(screen.getByLabelText('Business')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: steps are inserted into the active path when their predicate passes
+   */
+  it('inserts steps into the active path based on earlier answers', async () => {
+    const user = userEvent.setup();
+    renderConditional();
+
+    await user.click(screen.getByLabelText('Business'));
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs).toHaveLength(3);
+    expect(tabs[1]).toHaveTextContent('2Company');
+    expect(tabs[2]).toHaveTextContent('3Contact');
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Company content')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: a step skipping itself hands over to the nearest step still on the path
+   */
+  it('moves off the active step when it becomes skipped', async () => {
+    const user = userEvent.setup();
+    const FlagField = () => {
+      const field = useStepField('flag', { initialValue: false });
+      return (
+        <label>
+          Skip this step
+          <input type="checkbox" checked={field.value} onChange={field.onChange} />
+        </label>
+      );
+    };
+    const renderSelfSkipping = (lastStep) => render(
+      <Stepper>
+        <Step id="s1" label="S1">C1</Step>
+        <Step id="s2" label="S2" skip={(values) => values.flag}><FlagField /></Step>
+        {lastStep}
+        <Navigation />
+      </Stepper>
+    );
+
+    const { unmount } = renderSelfSkipping(<Step id="s3" label="S3">C3</Step>);
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByLabelText('Skip this step'));
+    expect(screen.getAllByRole('tabpanel')).toHaveLength(1);
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('C3');
+    unmount();
+
+    // Without a step after it, the one before takes over
+    renderSelfSkipping(null);
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByLabelText('Skip this step'));
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('C1');
+  });
+});
+
+describe('Persistence', () => {
+  const renderPersisted = (persist) => render(
+    <Stepper persist={persist}>
+      <StepList />
+      <Step id="step1" label="Step 1">Content 1</Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Step id="step3" label="Step 3">Content 3</Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  /**
+   * Test: progress is restored after a remount (page reload)
+   */
+  it('saves progress to localStorage and restores it on mount', async () => {
+    const user = userEvent.setup();
+    const persist = { key: 'wizard', version: 1 };
+    const { unmount } = renderPersisted(persist);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    unmount();
+
+    const stored = JSON.parse(window.localStorage.getItem('wizard'));
+    expect(stored).toMatchObject({
+      version: 1,
+      stepIds: ['step1', 'step2', 'step3'],
+      currentStep: 1,
+      completedSteps: [0],
+    });
+
+    renderPersisted(persist);
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(screen.getAllByRole('tab')[0]).toHaveClass('completed');
+  });
+
+  /**
+   * Test: the initial state is never written over a snapshot that is being restored
+   */
+  it('saves only the restored progress after restoring', () => {
+    const snapshot = {
+      version: undefined,
+      stepIds: ['step1', 'step2', 'step3'],
+      currentStep: 2,
+      completedSteps: [0, 1],
+      visitedSteps: [0, 1, 2],
+    };
+    const adapter = { load: vi.fn(() => snapshot), save: vi.fn(), remove: vi.fn() };
+
+    renderPersisted({ key: 'draft', storage: adapter });
+
+    expect(screen.getByText('Content 3')).toBeInTheDocument();
+    expect(adapter.save).toHaveBeenCalled();
+    expect(adapter.save.mock.calls.map(([, saved]) => saved.currentStep)).not.toContain(0);
+  });
+
+  /**
+   * Test: stale snapshots are discarded
+   */
+  it('discards snapshots with a different version or step ids', () => {
+    window.localStorage.setItem('wizard', JSON.stringify({
+      version: 1,
+      stepIds: ['step1', 'step2', 'step3'],
+      currentStep: 2,
+      completedSteps: [0, 1],
+      visitedSteps: [0, 1, 2],
+    }));
+
+    renderPersisted({ key: 'wizard', version: 2 });
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('wizard'))).toMatchObject({
+      version: 2,
+      currentStep: 0,
+    });
+  });
+
+  /**
+   * Test: async storage adapters
+   */
+  it('supports asynchronous storage adapters', async () => {
+    const adapter = {
+      load: vi.fn(() => Promise.resolve({
+        version: undefined,
+        stepIds: ['step1', 'step2', 'step3'],
+        currentStep: 2,
+        completedSteps: [0, 1],
+        visitedSteps: [0, 1, 2],
+      })),
+      save: vi.fn(() => Promise.resolve()),
+      remove: vi.fn(),
+    };
+
+    renderPersisted({ key: 'draft', storage: adapter });
+
+    expect(await screen.findByText('Content 3')).toBeInTheDocument();
+    expect(adapter.load).toHaveBeenCalledWith('draft');
+    await waitFor(() => expect(adapter.save).toHaveBeenLastCalledWith('draft', expect.objectContaining({
+      currentStep: 2,
+    })));
+  });
+
+  /**
+   * Test: finishing with a synchronous onComplete removes the snapshot for good
+   */
+  it('clears persisted progress when a synchronous onComplete finishes', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper persist={{ key: 'finished' }} onComplete={() => {}}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+        <StepperCompleted>Done</StepperCompleted>
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(window.localStorage.getItem('finished')).not.toBeNull();
+
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(screen.getByText('Done')).toBeInTheDocument();
+    expect(window.localStorage.getItem('finished')).toBeNull();
+  });
+});
+
+describe('URL synchronization', () => {
+  const renderSynced = (urlSync = 'query') => render(
+    <Stepper urlSync={urlSync}>
+      <StepList />
+      <Step id="step1" label="Step 1">Content 1</Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Step id="step3" label="Step 3">Content 3</Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  const popState = (url) => {
+    window.history.replaceState(null, '', url);
+    fireEvent.popState(window);
+  };
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  /**
+   * Test: active step id is written to the query string with history entries
+   */
+  it('writes the active step id to the query string and pushes history', async () => {
+    const user = userEvent.setup();
+    renderSynced();
+
+    expect(window.location.search).toBe('?step=step1');
+    const historyLength = window.history.length;
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(window.location.search).toBe('?step=step2');
+    expect(window.history.length).toBe(historyLength + 1);
+  });
+
+  /**
+   * Test: Back/Forward navigation goes through the guarded path
+   */
+  it('responds to popstate and reverts the URL when a guard blocks', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper urlSync="hash">
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2" canLeave={({ to }) => to !== 2}>Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(window.location.hash).toBe('#step2');
+
+    popState('/#step1');
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+
+    popState('/#step2');
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+
+    popState('/#step3');
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(window.location.hash).toBe('#step2');
+  });
+
+  /**
+   * Test: deep links to steps that can't be reached yet are refused
+   */
+  it('refuses deep links to steps the user cannot reach yet', () => {
+    window.history.replaceState(null, '', '/?step=step3');
+    renderSynced();
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(window.location.search).toBe('?step=step1');
+
+    popState('/?step=step3');
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(window.location.search).toBe('?step=step1');
+  });
+
+  /**
+   * Test: a refused deep link is dropped, not applied once its step becomes reachable
+   */
+  it('does not apply a refused deep link after a later Next', async () => {
+    const user = userEvent.setup();
+    window.history.replaceState(null, '', '/?step=step3');
+    render(
+      <Stepper urlSync>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+        <Step id="step4" label="Step 4">Content 4</Step>
+        <Navigation />
+      </Stepper>
+    );
+    expect(window.location.search).toBe('?step=step1');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(window.location.search).toBe('?step=step2');
+  });
+
+  /**
+   * Test: deep links are applied once restored progress makes them reachable
+   */
+  it('applies deep links to steps reachable from restored progress', () => {
+    window.localStorage.setItem('synced', JSON.stringify({
+      stepIds: ['step1', 'step2', 'step3'],
+      currentStep: 2,
+      completedSteps: [0, 1],
+      visitedSteps: [0, 1, 2],
+    }));
+    window.history.replaceState(null, '', '/?step=step2');
+
+    render(
+      <Stepper urlSync persist={{ key: 'synced' }}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+      </Stepper>
+    );
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(window.location.search).toBe('?step=step2');
+    window.localStorage.clear();
+  });
+});
+
+describe('Linear mode', () => {
+  const renderLinear = (props = {}) => render(
+    <Stepper linear {...props}>
+      <StepList />
+      <Step id="step1" label="Step 1">Content 1</Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Step id="step3" label="Step 3">Content 3</Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  /**
+   * Test: steps beyond the next one can't be activated
+   */
+  it('disables steps that have not been reached yet', async () => {
+    const user = userEvent.setup();
+    renderLinear();
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[1]).not.toHaveAttribute('aria-disabled');
+    expect(tabs[2]).toHaveAttribute('aria-disabled', 'true');
+    expect(tabs[2]).toHaveClass('disabled');
+
+    await user.click(tabs[2]);
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(tabs[0]).toHaveClass('completed');
+    expect(tabs[2]).not.toHaveAttribute('aria-disabled');
+  });
+
+  /**
+   * Test: roving focus passes over disabled steps
+   */
+  it('skips disabled steps during keyboard navigation', async () => {
+    const user = userEvent.setup();
+    renderLinear();
+
+    const tabs = screen.getAllByRole('tab');
+    tabs[0].focus();
+
+    await user.keyboard('{End}');
+    expect(tabs[1]).toHaveFocus();
+
+    await user.keyboard('{ArrowRight}');
+    expect(tabs[1]).toHaveFocus();
+
+    tabs[2].focus();
+    await user.keyboard('{Enter}');
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: nonLinear switches the restriction off
+   */
+  it('allows free navigation when nonLinear is set', async () => {
+    const user = userEvent.setup();
+    renderLinear({ nonLinear: true });
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[2]).not.toHaveAttribute('aria-disabled');
+
+    await user.click(tabs[2]);
+    expect(screen.getByText('Content 3')).toBeInTheDocument();
+  });
+});
+
+describe('Keep mounted', () => {
+  /**
+   * Test: visited steps stay mounted and keep uncontrolled input state
+   */
+  it('keeps visited steps mounted but hidden', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper keepMounted>
+        <Step id="step1" label="Step 1">
+          <input aria-label="Notes" />
+        </Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.queryByText('Content 2')).not.toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Notes'), 'draft');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    const hiddenPanel = screen.getByLabelText('Notes').closest('.step-content');
+    expect(hiddenPanel).toHaveAttribute('hidden');
+    expect(hiddenPanel).toHaveAttribute('aria-hidden', 'true');
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Content 2');
+    expect(screen.queryByText('Content 3')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    expect(screen.getByLabelText('Notes')).toHaveValue('draft');
+    expect(hiddenPanel).not.toHaveAttribute('hidden');
+  });
+
+  /**
+   * Test: lazy={false} mounts every step up front, Step props override the Stepper
+   */
+  it('mounts all steps eagerly when lazy is disabled', () => {
+    render(
+      <Stepper keepMounted lazy={false}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3" keepMounted={false}>Content 3</Step>
+      </Stepper>
+    );
+
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(screen.getByText('Content 2').closest('.step-content')).toHaveAttribute('hidden');
+    expect(screen.queryByText('Content 3')).not.toBeInTheDocument();
+  });
+});
+
+describe('Step transitions', () => {
+  const DirectionProbe = () => {
+    const { direction } = useStepper();
+    return <div>Direction: {String(direction)}</div>;
+  };
+
+  /**
+   * Test: direction of travel is exposed in context
+   */
+  it('exposes the navigation direction in context', () => {
+    render(
+      <Stepper>
+        <DirectionProbe />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.getByText('Direction: null')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Direction: forward')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /previous/i }));
+    expect(screen.getByText('Direction: backward')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: the outgoing step stays mounted until its exit animation ends
+   */
+  it('keeps the outgoing step mounted while it animates out', () => {
+    render(
+      <Stepper transition="slide">
+        <StepList />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+
+    const outgoing = screen.getByText('Content 1').closest('.step-content');
+    expect(outgoing).toHaveClass('step-exiting', 'step-forward');
+    expect(outgoing).toHaveAttribute('aria-hidden', 'true');
+    expect(screen.getByText('Content 2').closest('.step-content')).toHaveClass('step-entering');
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Content 2');
+    expect(screen.getAllByRole('tab')[1]).toHaveFocus();
+
+    fireEvent.animationEnd(outgoing);
+    expect(screen.queryByText('Content 1')).not.toBeInTheDocument();
+  });
+
+  /**
+   * Test: custom animations end with done() or after the duration
+   */
+  it('lets custom transitions finish through useStepTransition', async () => {
+    const CustomContent = ({ children }) => {
+      const { phase, direction, done } = useStepTransition();
+      return (
+        <div>
+          {children} ({phase} {direction})
+          <button type="button" onClick={done}>Done {children}</button>
+        </div>
+      );
+    };
+
+    render(
+      <Stepper transition="custom" transitionDuration={50}>
+        <Step id="step1" label="Step 1"><CustomContent>One</CustomContent></Step>
+        <Step id="step2" label="Step 2"><CustomContent>Two</CustomContent></Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('One (exiting forward)')).toBeInTheDocument();
+    expect(screen.getByText('Two (entering forward)')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Done One'));
+    expect(screen.queryByText(/^One/)).not.toBeInTheDocument();
+
+    await waitFor(() => {
+      expect(screen.getByText('Two (entered forward)')).toBeInTheDocument();
+    });
+  });
+
+  /**
+   * Test: reduced motion switches transitions off
+   */
+  it('skips animations when the user prefers reduced motion', () => {
+    const matchMedia = vi.fn(() => ({
+      matches: true,
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+    }));
+    vi.stubGlobal('matchMedia', matchMedia);
+
+    render(
+      <Stepper transition="slide">
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.queryByText('Content 1')).not.toBeInTheDocument();
+    expect(matchMedia).toHaveBeenCalledWith('(prefers-reduced-motion: reduce)');
+
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('Orientation and responsive layout', () => {
+  const renderList = (listProps = {}) => render(
+    <Stepper>
+      <StepList {...listProps} />
+      <Step id="step1" label="Step 1">Content 1</Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Step id="step3" label="Step 3">Content 3</Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  /**
+   * Test: vertical lists use ArrowUp/ArrowDown
+   */
+  it('navigates a vertical list with ArrowUp and ArrowDown', async () => {
+    const user = userEvent.setup();
+    renderList({ orientation: 'vertical' });
+
+    expect(screen.getByRole('tablist')).toHaveAttribute('aria-orientation', 'vertical');
+
+    const tabs = screen.getAllByRole('tab');
+    tabs[0].focus();
+
+    await user.keyboard('{ArrowRight}');
+    expect(tabs[0]).toHaveFocus();
+
+    await user.keyboard('{ArrowDown}');
+    expect(tabs[1]).toHaveFocus();
+
+    await user.keyboard('{ArrowUp}');
+    expect(tabs[0]).toHaveFocus();
+  });
+
+  /**
+   * Test: accordion layout renders content under the step's indicator
+   */
+  it('renders step content inline under its indicator', async () => {
+    const user = userEvent.setup();
+    renderList({ orientation: 'vertical', inlineContent: true });
+
+    const entries = document.querySelectorAll('.step-list-entry');
+    expect(entries[0]).toHaveTextContent('Content 1');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(entries[0]).not.toHaveTextContent('Content 1');
+    expect(entries[1]).toContainElement(screen.getByRole('region'));
+    expect(screen.getByRole('region', { name: /step 2/i })).toHaveTextContent('Content 2');
+
+    // An accordion of buttons, no tabs around the panels
+    expect(screen.queryByRole('tablist')).not.toBeInTheDocument();
+    expect(screen.queryByRole('tab')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /step 2/i })).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByRole('button', { name: /step 1/i })).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  /**
+   * Test: small screens get a compact header
+   */
+  it('switches to a compact header below the breakpoint', () => {
+    vi.stubGlobal('matchMedia', vi.fn(query => ({
+      matches: query === '(max-width: 480px)',
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+    })));
+
+    renderList({ compactBreakpoint: 480 });
+
+    expect(screen.queryByRole('tablist')).not.toBeInTheDocument();
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument();
+    expect(screen.getByRole('tabpanel', { name: 'Step 1' })).toHaveTextContent('Content 1');
+
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('Step status', () => {
+  /**
+   * Test: status props are rendered with indicators, captions and ARIA
+   */
+  it('renders error, warning, optional and loading states', () => {
+    const renderStep = vi.fn(() => null);
+    render(
+      <Stepper>
+        <StepList />
+        <StepList renderStep={renderStep} />
+        <Step id="step1" label="Account" error="Email already taken">Content 1</Step>
+        <Step id="step2" label="Profile" warning>Content 2</Step>
+        <Step id="step3" label="Extras" optional>Content 3</Step>
+        <Step id="step4" label="Payment" loading>Content 4</Step>
+      </Stepper>
+    );
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[0]).toHaveAttribute('aria-invalid', 'true');
+    expect(tabs[0]).toHaveTextContent('!AccountEmail already taken');
+    expect(tabs[1]).toHaveClass('warning');
+    expect(tabs[1]).toHaveTextContent('⚠');
+    expect(tabs[2]).toHaveClass('optional');
+    expect(tabs[2]).toHaveTextContent('Optional');
+    expect(tabs[3]).toHaveAttribute('aria-busy', 'true');
+    expect(tabs[3].querySelector('.step-spinner')).toBeInTheDocument();
+
+    expect(renderStep).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'step3' }),
+      2,
+      expect.objectContaining({
+        isOptional: true,
+        status: expect.objectContaining({ optional: true, disabled: false }),
+      }),
+    );
+  });
+
+  /**
+   * Test: disabled steps are shown but never navigated to
+   */
+  it('passes over disabled steps', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper>
+        <StepList />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2" disabled>Content 2</Step>
+        <Step id="step3" label="Step 3">Content 3</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs).toHaveLength(3);
+    expect(tabs[1]).toHaveAttribute('aria-disabled', 'true');
+
+    await user.click(tabs[1]);
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Content 3')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: imperative status overrides win over props until cleared
+   */
+  it('sets and clears status imperatively', async () => {
+    const user = userEvent.setup();
+    const StatusControls = () => {
+      const { setStepStatus, clearStepStatus } = useStepper();
+      return (
+        <>
+          <button onClick={() => setStepStatus('step2', { loading: true, optional: false })}>Load</button>
+          <button onClick={() => clearStepStatus(1)}>Clear</button>
+        </>
+      );
+    };
+
+    render(
+      <Stepper>
+        <StepList />
+        <StatusControls />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2" optional>Content 2</Step>
+      </Stepper>
+    );
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[1]).toHaveClass('optional');
+
+    await user.click(screen.getByRole('button', { name: 'Load' }));
+    expect(tabs[1]).toHaveClass('loading');
+    expect(tabs[1]).not.toHaveClass('optional');
+
+    await user.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(tabs[1]).not.toHaveClass('loading');
+    expect(tabs[1]).toHaveClass('optional');
+  });
+
+  /**
+   * Test: a skipped override takes the step off the active path until cleared
+   */
+  it('skips a step through setStepStatus and the skipped prop', async () => {
+    const user = userEvent.setup();
+    const SkipControls = () => {
+      const { setStepStatus, clearStepStatus, getStepStatus } = useStepper();
+      return (
+        <>
+          <button onClick={() => setStepStatus('step2', { skipped: true })}>Skip</button>
+          <button onClick={() => clearStepStatus('step2')}>Unskip</button>
+          <span data-testid="skipped">{String(getStepStatus('step2').skipped)}</span>
+        </>
+      );
+    };
+
+    render(
+      <Stepper>
+        <StepList />
+        <SkipControls />
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Step id="step3" label="Step 3" skipped>Content 3</Step>
+        <Step id="step4" label="Step 4">Content 4</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.getAllByRole('tab')).toHaveLength(3);
+
+    await user.click(screen.getByRole('button', { name: 'Skip' }));
+    expect(screen.getByTestId('skipped')).toHaveTextContent('true');
+    expect(screen.getAllByRole('tab')).toHaveLength(2);
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Content 4')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Unskip' }));
+    expect(screen.getByTestId('skipped')).toHaveTextContent('false');
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+  });
+});
+
+describe('Invalidating completed steps', () => {
+  const ResetButton = () => {
+    const { resetStep } = useStepper();
+    return <button onClick={() => resetStep('step1')}>Reset</button>;
+  };
+
+  const renderWizard = createWizard(
+    <>
+      <StepList />
+      <ResetButton />
+      <Step id="step1" label="Step 1">
+        <TextField name="email" label="Email" initialValue="ada@example.com" />
+      </Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Step id="step3" label="Step 3" dependsOn={['step1']}>Content 3</Step>
+      <Step id="step4" label="Step 4">Content 4</Step>
+      <Navigation />
+    </>
+  );
+
+  const completeAndReturn = async (user) => {
+    const next = screen.getByRole('button', { name: /next/i });
+    await user.click(next);
+    await user.click(next);
+    await user.click(next);
+    await user.click(screen.getAllByRole('tab')[0]);
+  };
+
+  /**
+   * Test: editing a completed step un-completes it and its dependents
+   */
+  it('un-completes the edited step and steps depending on it', async () => {
+    const user = userEvent.setup();
+    renderWizard();
+    await completeAndReturn(user);
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[2]).toHaveClass('completed');
+
+    await user.type(screen.getByLabelText('Email'), 'x');
+
+    expect(tabs[0]).not.toHaveClass('completed');
+    expect(tabs[1]).toHaveClass('completed');
+    expect(tabs[2]).not.toHaveClass('completed');
+  });
+
+  /**
+   * Test: 'downstream' invalidates every later step
+   */
+  it('un-completes all later steps in downstream mode', async () => {
+    const user = userEvent.setup();
+    renderWizard({ invalidateOnEdit: 'downstream' });
+    await completeAndReturn(user);
+
+    await user.type(screen.getByLabelText('Email'), 'x');
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs.filter(tab => tab.classList.contains('completed'))).toHaveLength(0);
+  });
+
+  /**
+   * Test: resetStep restores initial values and removes completion
+   */
+  it('resets a step to its initial values', async () => {
+    const user = userEvent.setup();
+    renderWizard({ invalidateOnEdit: false });
+    await completeAndReturn(user);
+
+    await user.clear(screen.getByLabelText('Email'));
+    await user.type(screen.getByLabelText('Email'), 'grace@example.com');
+    expect(screen.getAllByRole('tab')[0]).toHaveClass('completed');
+
+    await user.click(screen.getByRole('button', { name: 'Reset' }));
+
+    expect(screen.getByLabelText('Email')).toHaveValue('ada@example.com');
+    expect(screen.getAllByRole('tab')[0]).not.toHaveClass('completed');
+  });
+});
+
+describe('Controlled mode and imperative API', () => {
+  const steps = [
+    <Step key="step1" id="step1" label="Step 1">Content 1</Step>,
+    <Step key="step2" id="step2" label="Step 2">Content 2</Step>,
+    <Step key="step3" id="step3" label="Step 3">Content 3</Step>,
+  ];
+
+  /**
+   * Test: the parent owns the active step
+   */
+  it('follows activeStep and reports requested changes', async () => {
+    const user = userEvent.setup();
+    const onStepChange = vi.fn();
+    const { rerender } = render(
+      <Stepper activeStep={0} onStepChange={onStepChange}>
+        {steps}
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(onStepChange).toHaveBeenCalledWith('step2', 1);
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+
+    rerender(
+      <Stepper activeStep={2} onStepChange={onStepChange}>
+        {steps}
+        <Navigation />
+      </Stepper>
+    );
+    expect(screen.getByText('Content 3')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: a move the parent doesn't apply leaves no trace; one it applies takes full effect
+   */
+  it('applies completion and announcements only once activeStep follows', async () => {
+    const user = userEvent.setup();
+    const ref = createRef();
+    const renderControlled = (activeStep) => (
+      <Stepper ref={ref} activeStep={activeStep} onStepChange={() => {}}>
+        <StepList />
+        {steps}
+        <Navigation />
+      </Stepper>
+    );
+    const { rerender } = render(renderControlled(0));
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(screen.getAllByRole('tab')[0]).not.toHaveClass('completed');
+    expect(screen.getByRole('status')).not.toHaveTextContent('Step 2 of 3');
+    expect(ref.current.getState().visitedSteps).toEqual(['step1']);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    rerender(renderControlled(1));
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+    expect(screen.getAllByRole('tab')[0]).toHaveClass('completed');
+    expect(screen.getByRole('status')).toHaveTextContent('Step 2 of 3, Step 2');
+    expect(ref.current.getState().visitedSteps).toEqual(['step1', 'step2']);
+  });
+
+  /**
+   * Test: the parent owns completion
+   */
+  it('supports controlled completedSteps', async () => {
+    const user = userEvent.setup();
+    const onCompletedChange = vi.fn();
+    const ControlledWizard = () => {
+      const [step, setStep] = useState('step1');
+      const [completed, setCompleted] = useState(['step3']);
+      return (
+        <Stepper
+          activeStep={step}
+          onStepChange={setStep}
+          completedSteps={completed}
+          onCompletedChange={(next) => {
+            onCompletedChange(next);
+            setCompleted(next);
+          }}
+        >
+          <StepList />
+          {steps}
+          <Navigation />
+        </Stepper>
+      );
+    };
+
+    render(<ControlledWizard />);
+    expect(screen.getAllByRole('tab')[2]).toHaveClass('completed');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(onCompletedChange).toHaveBeenCalledWith(['step1', 'step3']);
+    expect(screen.getAllByRole('tab')[0]).toHaveClass('completed');
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: consecutive updates in one event build on each other, controlled or not
+   */
+  it('chains completion updates made in the same event', async () => {
+    const user = userEvent.setup();
+    const CompleteBoth = () => {
+      const { markStepCompleted } = useStepper();
+      return (
+        <button
+          type="button"
+          onClick={() => {
+            markStepCompleted('step1');
+            markStepCompleted('step2');
+          }}
+        >
+          Complete both
+        </button>
+      );
+    };
+    const renderWizard = createWizard(
+      <>
+        <StepList />
+        {steps}
+        <CompleteBoth />
+      </>
+    );
+
+    const onCompletedChange = vi.fn();
+    const { unmount } = renderWizard({ completedSteps: [], onCompletedChange });
+    await user.click(screen.getByRole('button', { name: 'Complete both' }));
+    expect(onCompletedChange.mock.calls).toEqual([[['step1']], [['step1', 'step2']]]);
+    unmount();
+
+    const onUncontrolledChange = vi.fn();
+    renderWizard({ onCompletedChange: onUncontrolledChange });
+    await user.click(screen.getByRole('button', { name: 'Complete both' }));
+    expect(onUncontrolledChange).toHaveBeenLastCalledWith(['step1', 'step2']);
+    expect(screen.getAllByRole('tab')[1]).toHaveClass('completed');
+  });
+
+  /**
+   * Test: ref handle drives the wizard from outside
+   */
+  it('exposes next, previous, goTo, reset and getState through a ref', () => {
+    const ref = createRef();
+    render(
+      <Stepper ref={ref}>
+        {steps}
+      </Stepper>
+    );
+
+    act(() => {
+      ref.current.next();
+    });
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+
+    act(() => {
+      ref.current.goTo('step3');
+    });
+    expect(ref.current.getState()).toMatchObject({
+      currentStep: 2,
+      currentStepId: 'step3',
+      completedSteps: ['step1'],
+      visitedSteps: ['step1', 'step2', 'step3'],
+      isLastStep: true,
+    });
+
+    act(() => {
+      ref.current.previous();
+    });
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+
+    act(() => {
+      ref.current.reset();
+    });
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(ref.current.getState()).toMatchObject({ currentStep: 0, completedSteps: [], visitedSteps: ['step1'] });
+  });
+});
+
+describe('Addressing steps by id', () => {
+  const StepProbe = () => {
+    const { currentStepId, isStepCompleted, goToStep } = useStepper();
+    return (
+      <div>
+        <span>Current: {currentStepId}</span>
+        <span>Account done: {String(isStepCompleted('account'))}</span>
+        <button onClick={() => goToStep('review')}>Jump to review</button>
+      </div>
+    );
+  };
+
+  /**
+   * Test: order follows render order, conditionally rendered steps slot in place
+   */
+  it('numbers steps in render order', () => {
+    const Wizard = ({ withExtras }) => (
+      <Stepper>
+        <StepList />
+        <Step id="account" label="Account">Account</Step>
+        {withExtras && <Step id="extras" label="Extras">Extras</Step>}
+        <Step id="review" label="Review">Review</Step>
+      </Stepper>
+    );
+    const { rerender } = render(<Wizard withExtras={false} />);
+    expect(screen.getAllByRole('tab').map(tab => tab.textContent)).toEqual(['1Account', '2Review']);
+
+    rerender(<Wizard withExtras />);
+    expect(screen.getAllByRole('tab').map(tab => tab.textContent)).toEqual(['1Account', '2Extras', '3Review']);
+  });
+
+  /**
+   * Test: navigation APIs accept and report ids
+   */
+  it('navigates and reports progress by step id', async () => {
+    const user = userEvent.setup();
+    const onStepChange = vi.fn();
+    render(
+      <Stepper initialStep="account" onStepChange={onStepChange}>
+        <StepProbe />
+        <Step id="account" label="Account">Account</Step>
+        <Step id="review" label="Review">Review</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.getByText('Current: account')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(onStepChange).toHaveBeenCalledWith('review', 1);
+    expect(screen.getByText('Current: review')).toBeInTheDocument();
+    expect(screen.getByText('Account done: true')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: DOM ids don't collide between Steppers on one page
+   */
+  it('namespaces tab and panel ids per Stepper', () => {
+    render(
+      <>
+        <Stepper>
+          <StepList />
+          <Step id="details" label="Details">First wizard</Step>
+        </Stepper>
+        <Stepper>
+          <StepList />
+          <Step id="details" label="Details">Second wizard</Step>
+        </Stepper>
+      </>
+    );
+
+    const [firstTab, secondTab] = screen.getAllByRole('tab');
+    const [firstPanel, secondPanel] = screen.getAllByRole('tabpanel');
+    expect(firstTab.id).not.toBe(secondTab.id);
+    expect(firstPanel.id).not.toBe(secondPanel.id);
+    expect(firstPanel).toHaveAttribute('aria-labelledby', firstTab.id);
+    expect(secondTab).toHaveAttribute('aria-controls', secondPanel.id);
+  });
+});
+
+describe('Nested sub-steppers', () => {
+  const SignatureField = () => {
+    const field = useStepField('signature', {
+      validate: (value) => (value ? undefined : 'Signature is required'),
+    });
+
+    return (
+      <div>
+        <label htmlFor="signature">Signature</label>
+        <input id="signature" {...field.inputProps} />
+        {field.invalid && <span>{field.error}</span>}
+      </div>
+    );
+  };
+
+  const renderNested = () => render(
+    <Stepper>
+      <StepList />
+      <Step id="intro" label="Intro">Intro</Step>
+      <Step id="documents" label="Documents">
+        <Stepper>
+          <Step id="id-card" label="ID card">Upload your ID card</Step>
+          <Step id="proof" label="Proof of address">Upload a utility bill</Step>
+          <Step id="signature" label="Signature">
+            <SignatureField />
+          </Step>
+        </Stepper>
+      </Step>
+      <Step id="review" label="Review">Review</Step>
+      <Navigation />
+    </Stepper>
+  );
+
+  /**
+   * Test: Next and Previous walk through the sub-steps before leaving the step
+   */
+  it('delegates Next and Previous to the active sub-stepper', async () => {
+    const user = userEvent.setup();
+    renderNested();
+    const next = () => user.click(screen.getByRole('button', { name: /next/i }));
+
+    await next();
+    expect(screen.getByText('Upload your ID card')).toBeInTheDocument();
+    await next();
+    expect(screen.getByText('Upload a utility bill')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    expect(screen.getByText('Upload your ID card')).toBeInTheDocument();
+    expect(screen.getAllByRole('tab')[1]).toHaveAttribute('aria-selected', 'true');
+
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    expect(screen.getAllByRole('tab')[0]).toHaveAttribute('aria-selected', 'true');
+  });
+
+  /**
+   * Test: the last sub-step's fields are validated before the parent moves on
+   */
+  it('leaves the step once the sub-stepper reaches its last sub-step', async () => {
+    const user = userEvent.setup();
+    renderNested();
+    const next = () => user.click(screen.getByRole('button', { name: /next/i }));
+
+    await next();
+    await next();
+    await next();
+    await next();
+    expect(screen.getByText('Signature is required')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Signature'), 'Ada');
+    await next();
+
+    expect(screen.getByText('Review', { selector: '.step-content' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /finish/i })).toBeInTheDocument();
+  });
+
+  /**
+   * Test: StepList shows sub-step progress under the parent indicator
+   */
+  it('lists sub-steps under the parent step indicator', async () => {
+    const user = userEvent.setup();
+    renderNested();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    const documentsTab = screen.getAllByRole('tab')[1];
+    const subSteps = within(documentsTab).getAllByRole('listitem');
+    expect(subSteps.map(item => item.textContent)).toEqual(['ID card', 'Proof of address', 'Signature']);
+    expect(subSteps[0]).toHaveClass('completed');
+    expect(subSteps[1]).toHaveAttribute('aria-current', 'step');
+  });
+
+  /**
+   * Test: sub-step fields reach the root's review and onComplete, sub-step progress survives leaving the step
+   */
+  it('keeps sub-step values and progress in the root Stepper', async () => {
+    const user = userEvent.setup();
+    const onComplete = vi.fn();
+    render(
+      <Stepper onComplete={onComplete}>
+        <StepList />
+        <Step id="intro" label="Intro">Intro</Step>
+        <Step id="documents" label="Documents">
+          <Stepper>
+            <Step id="id-card" label="ID card"><TextField name="idNumber" label="ID number" /></Step>
+            <Step id="proof" label="Proof of address">Upload a utility bill</Step>
+            <Step id="signature" label="Signature"><SignatureField /></Step>
+          </Stepper>
+        </Step>
+        <Step id="review" label="Review"><StepReview /></Step>
+        <Navigation />
+      </Stepper>
+    );
+    const next = () => user.click(screen.getByRole('button', { name: /next/i }));
+    const previous = () => user.click(screen.getByRole('button', { name: /previous/i }));
+
+    await next();
+    await user.type(screen.getByLabelText('ID number'), 'X123');
+    await next();
+    await next();
+    await user.type(screen.getByLabelText('Signature'), 'Ada');
+    await next();
+    const review = screen.getByRole('heading', { name: 'Documents' }).closest('section');
+    expect(within(review).getByText('X123')).toBeInTheDocument();
+    expect(within(review).getByText('Ada')).toBeInTheDocument();
+
+    // Entered backward, the sub-stepper starts at its last sub-step with its progress
+    await previous();
+    expect(screen.getByLabelText('Signature')).toHaveValue('Ada');
+    const subSteps = within(screen.getAllByRole('tab')[1]).getAllByRole('listitem');
+    expect(subSteps[0]).toHaveClass('completed');
+    expect(subSteps[1]).toHaveClass('completed');
+
+    // Left from a middle sub-step, it resumes there
+    await previous();
+    await user.click(screen.getAllByRole('tab')[0]);
+    await next();
+    expect(screen.getByText('Upload a utility bill')).toBeInTheDocument();
+
+    await next();
+    await next();
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(onComplete).toHaveBeenCalledWith({ idNumber: 'X123', signature: 'Ada' });
+  });
+});
+
+describe('Completion lifecycle', () => {
+  const renderCompletable = (onComplete) => render(
+    <Stepper initialValues={{ name: 'Ada' }} onComplete={onComplete}>
+      <Step id="step1" label="Step 1">Content 1</Step>
+      <Step id="step2" label="Step 2">Content 2</Step>
+      <Navigation />
+      <StepperCompleted>
+        {({ values, reset }) => (
+          <div>
+            <p>Thanks, {values.name}!</p>
+            <button onClick={reset}>Start over</button>
+          </div>
+        )}
+      </StepperCompleted>
+    </Stepper>
+  );
+
+  /**
+   * Test: Finish runs an async onComplete, then shows the completed slot
+   */
+  it('submits through onComplete and shows StepperCompleted', async () => {
+    const user = userEvent.setup();
+    let resolveSubmit;
+    const onComplete = vi.fn(() => new Promise(resolve => {
+      resolveSubmit = resolve;
+    }));
+    renderCompletable(onComplete);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+
+    expect(onComplete).toHaveBeenCalledWith({ name: 'Ada' });
+    expect(screen.getByRole('button', { name: /finish/i })).toHaveTextContent('Submitting…');
+    expect(screen.getByRole('button', { name: /finish/i })).toBeDisabled();
+
+    await act(async () => {
+      resolveSubmit();
+    });
+
+    expect(screen.getByText('Thanks, Ada!')).toBeInTheDocument();
+    expect(screen.queryByText('Content 2')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /finish/i })).not.toBeInTheDocument();
+  });
+
+  /**
+   * Test: Finish runs the last step's canLeave and beforeStepChange before submitting
+   */
+  it('runs canLeave and beforeStepChange before completing', async () => {
+    const user = userEvent.setup();
+    const onComplete = vi.fn();
+    const canLeave = vi.fn(() => false);
+    const beforeStepChange = vi.fn(async () => 'step1');
+
+    const { rerender } = render(
+      <Stepper initialStep="step2" onComplete={onComplete}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2" canLeave={canLeave}>Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(canLeave).toHaveBeenCalledWith(expect.objectContaining({ to: -1, toStep: null }));
+    expect(onComplete).not.toHaveBeenCalled();
+
+    rerender(
+      <Stepper initialStep="step2" onComplete={onComplete} beforeStepChange={beforeStepChange}>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    // A redirect navigates there instead of completing
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(await screen.findByText('Content 1')).toBeInTheDocument();
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+
+  /**
+   * Test: a rejected onComplete surfaces submitError and can be retried
+   */
+  it('reports submit errors and lets the user retry', async () => {
+    const user = userEvent.setup();
+    const onComplete = vi.fn()
+      .mockRejectedValueOnce(new Error('Server unavailable'))
+      .mockResolvedValueOnce(undefined);
+    renderCompletable(onComplete);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Server unavailable');
+    expect(screen.getByText('Content 2')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+
+    expect(await screen.findByText('Thanks, Ada!')).toBeInTheDocument();
+    expect(onComplete).toHaveBeenCalledTimes(2);
+  });
+
+  /**
+   * Test: reset starts over after completion
+   */
+  it('starts over with reset', async () => {
+    const user = userEvent.setup();
+    renderCompletable();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    await user.click(screen.getByRole('button', { name: /start over/i }));
+
+    expect(screen.getByText('Content 1')).toBeInTheDocument();
+    expect(screen.queryByText('Thanks, Ada!')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /next/i })).toBeEnabled();
+  });
+
+  /**
+   * Test: without StepperCompleted the last step stays on screen, its buttons disabled
+   */
+  it('keeps the last step visible when there is no StepperCompleted', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper>
+        <Step id="step1" label="Step 1">Content 1</Step>
+        <Step id="step2" label="Step 2">Content 2</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Content 2');
+    expect(screen.getByRole('button', { name: /finish/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /previous/i })).toBeDisabled();
+  });
+});
+
+describe('Announcements and focus strategy', () => {
+  const getAnnouncer = () => document.querySelector('.stepper-announcer');
+
+  /**
+   * Test: step changes and completion are announced in a live region
+   */
+  it('announces step changes and completion', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper>
+        <Step id="account" label="Account">Account</Step>
+        <Step id="contact" label="Contact Details">Contact</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(getAnnouncer()).toHaveAttribute('aria-live', 'polite');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(getAnnouncer()).toHaveTextContent('Step 2 of 2, Contact Details');
+
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(getAnnouncer()).toHaveTextContent('All steps complete.');
+  });
+
+  /**
+   * Test: custom templates, blocked validation focuses the first invalid field
+   */
+  it('announces blocked navigation with custom templates and focuses the invalid field', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper
+        focusStrategy="firstInvalid"
+        announcements={{
+          invalid: 'Revisa {label}',
+          blocked: ({ target }) => `${target} no está disponible`,
+        }}
+        beforeStepChange={({ to }) => to !== 2}
+      >
+        <StepList />
+        <Step id="account" label="Cuenta">
+          <TextField name="email" label="Email" validate={required('Email is required')} />
+        </Step>
+        <Step id="contact" label="Contacto">Contact</Step>
+        <Step id="review" label="Resumen">Review</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(getAnnouncer()).toHaveTextContent('Revisa Cuenta');
+    expect(screen.getByLabelText('Email')).toHaveFocus();
+
+    await user.type(screen.getByLabelText('Email'), 'ada@example.com');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(getAnnouncer()).toHaveTextContent('Resumen no está disponible');
+  });
+
+  /**
+   * Test: the heading strategy focuses the new panel's heading instead of the tab
+   */
+  it('moves focus to the step heading', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper focusStrategy="heading">
+        <StepList />
+        <Step id="account" label="Account"><h3>Your account</h3></Step>
+        <Step id="contact" label="Contact"><h3>Contact details</h3></Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    const heading = screen.getByRole('heading', { name: 'Contact details' });
+    expect(heading).toHaveFocus();
+    expect(heading).toHaveAttribute('tabindex', '-1');
+  });
+});
+
+describe('Localization and right-to-left', () => {
+  /**
+   * Test: messages prop replaces built-in strings, plural templates follow the locale
+   */
+  it('renders built-in strings from messages with locale plural rules', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper
+        locale="pl"
+        messages={{
+          previous: 'Wstecz',
+          next: 'Dalej',
+          nextAriaLabel: 'Przejdź dalej',
+          stepPosition: {
+            one: 'Krok {position} z {total} kroku',
+            few: 'Krok {position} z {total} kroków (few)',
+            other: 'Krok {position} z {total} kroków',
+          },
+        }}
+      >
+        <StepperProgress variant="text" />
+        <Step id="a" label="A">A</Step>
+        <Step id="b" label="B">B</Step>
+        <Step id="c" label="C">C</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.getByRole('progressbar')).toHaveTextContent('Krok 1 z 3 kroków (few)');
+    expect(screen.getByRole('button', { name: 'Go to previous step' })).toHaveTextContent('Wstecz');
+
+    await user.click(screen.getByRole('button', { name: 'Przejdź dalej' }));
+    expect(screen.getByRole('progressbar')).toHaveTextContent('Krok 2 z 3 kroków (few)');
+  });
+
+  /**
+   * Test: StepperLocaleProvider applies to every Stepper below it, Stepper props win
+   */
+  it('inherits locale settings from StepperLocaleProvider', () => {
+    render(
+      <StepperLocaleProvider dir="rtl" messages={{ next: 'التالي', previous: 'السابق' }}>
+        <Stepper messages={{ previous: 'رجوع' }}>
+          <Step id="a" label="A">A</Step>
+          <Step id="b" label="B">B</Step>
+          <Navigation />
+        </Stepper>
+      </StepperLocaleProvider>
+    );
+
+    expect(document.querySelector('.stepper')).toHaveAttribute('dir', 'rtl');
+    expect(screen.getByText('التالي')).toBeInTheDocument();
+    expect(screen.getByText('رجوع')).toBeInTheDocument();
+  });
+
+  /**
+   * Test: in rtl mode ArrowLeft moves to the next tab and ArrowRight to the previous one
+   */
+  it('mirrors horizontal arrow keys when dir is rtl', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper dir="rtl">
+        <StepList />
+        <Step id="a" label="A">A</Step>
+        <Step id="b" label="B">B</Step>
+        <Step id="c" label="C">C</Step>
+      </Stepper>
+    );
+
+    const tabs = screen.getAllByRole('tab');
+    tabs[0].focus();
+
+    await user.keyboard('{ArrowLeft}');
+    expect(tabs[1]).toHaveFocus();
+
+    await user.keyboard('{ArrowLeft}');
+    expect(tabs[2]).toHaveFocus();
+
+    await user.keyboard('{ArrowRight}');
+    expect(tabs[1]).toHaveFocus();
+  });
+});
+
+describe('Theming and slots', () => {
+  /**
+   * Test: the built-in stylesheet only applies to steppers marked stepper-themed
+   */
+  it('drops the themed class in unstyled mode', () => {
+    const { container } = render(
+      <>
+        <Stepper className="styled">
+          <Step id="a" label="A">A</Step>
+        </Stepper>
+        <Stepper className="bare" unstyled>
+          <Step id="b" label="B">B</Step>
+        </Stepper>
+      </>
+    );
+
+    expect(container.querySelector('.styled')).toHaveClass('stepper', 'stepper-themed');
+    expect(container.querySelector('.bare')).toHaveClass('stepper');
+    expect(container.querySelector('.bare')).not.toHaveClass('stepper-themed');
+  });
+
+  /**
+   * Test: the themed rules stop at an unstyled Stepper nested in a themed one
+   */
+  it('leaves a nested unstyled Stepper unstyled', () => {
+    const style = document.createElement('style');
+    // CSS imports are stubbed out in tests, so the stylesheet is read from disk
+    style.textContent = readFileSync(`${import.meta.dirname}/Stepper.css`, 'utf8');
+    document.head.appendChild(style);
+
+    const { container } = render(
+      <Stepper className="outer">
+        <StepList />
+        <Step id="details" label="Details">
+          <Stepper className="inner" unstyled>
+            <StepList />
+            <Step id="name" label="Name">Name</Step>
+          </Stepper>
+        </Step>
+      </Stepper>
+    );
+
+    const [outerList, innerList] = container.querySelectorAll('.step-list');
+    expect(container.querySelector('.inner')).toContainElement(innerList);
+    expect(getComputedStyle(outerList).display).toBe('flex');
+    expect(getComputedStyle(innerList).display).not.toBe('flex');
+    // Theme defaults are fallbacks, nothing is set on the page
+    expect(getComputedStyle(document.documentElement).getPropertyValue('--stepper-color-primary')).toBe('');
+
+    style.remove();
+  });
+
+  /**
+   * Test: classNames on the Stepper reach every component, component classNames add to them
+   */
+  it('adds classNames to the internal elements of StepList, Step and Navigation', () => {
+    render(
+      <Stepper
+        classNames={{
+          root: 'ds-wizard',
+          list: 'ds-tabs',
+          item: 'ds-tab',
+          indicator: 'ds-badge',
+          label: 'ds-tab-label',
+          panel: 'ds-panel',
+          navigation: 'ds-actions',
+          nextButton: 'ds-button-primary',
+        }}
+      >
+        <StepList />
+        <Step id="a" label="A">A</Step>
+        <Step id="b" label="B">B</Step>
+        <Navigation classNames={{ nextButton: 'ds-button-large', previousButton: 'ds-button-ghost' }} />
+      </Stepper>
+    );
+
+    expect(document.querySelector('.stepper')).toHaveClass('ds-wizard');
+    expect(screen.getByRole('tablist')).toHaveClass('step-list', 'ds-tabs');
+    const [tab] = screen.getAllByRole('tab');
+    expect(tab).toHaveClass('step-item', 'active', 'ds-tab');
+    expect(tab.querySelector('.step-indicator')).toHaveClass('ds-badge');
+    expect(tab.querySelector('.step-label')).toHaveClass('ds-tab-label');
+    expect(screen.getByRole('tabpanel')).toHaveClass('step-content', 'ds-panel');
+    expect(document.querySelector('.stepper-navigation')).toHaveClass('ds-actions');
+    expect(screen.getByRole('button', { name: /next/i }))
+      .toHaveClass('stepper-btn-next', 'ds-button-primary', 'ds-button-large');
+    expect(screen.getByRole('button', { name: /previous/i })).toHaveClass('ds-button-ghost');
+  });
+
+  /**
+   * Test: slotProps accept objects or functions of the step state; own ARIA props win
+   */
+  it('passes slotProps to internal elements without overriding their own props', async () => {
+    const user = userEvent.setup();
+    render(
+      <Stepper>
+        <StepList
+          slotProps={{
+            item: ({ step, isActive }) => ({
+              'data-step': step.id,
+              'data-state': isActive ? 'active' : 'idle',
+              role: 'button',
+            }),
+          }}
+        />
+        <Step id="a" label="A" slotProps={{ panel: { 'data-testid': 'panel-a', style: { color: 'red' } } }}>A</Step>
+        <Step id="b" label="B">B</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[0]).toHaveAttribute('data-step', 'a');
+    expect(tabs[0]).toHaveAttribute('data-state', 'active');
+    expect(tabs[1]).toHaveAttribute('data-state', 'idle');
+    expect(screen.getByTestId('panel-a')).toHaveStyle({ color: 'rgb(255, 0, 0)' });
+
+    await user.click(tabs[1]);
+    expect(tabs[1]).toHaveAttribute('data-state', 'active');
+  });
+});
+
+describe('Analytics events', () => {
+  const typesOf = (handler) => handler.mock.calls.map(([event]) => event.type);
+
+  /**
+   * Test: entered/exited with time spent, back navigation and completion
+   */
+  it('reports step time, back navigation and completion with step ids and labels', async () => {
+    const user = userEvent.setup();
+    const onEvent = vi.fn();
+    render(
+      <Stepper onEvent={onEvent}>
+        <Step id="account" label="Account">Account</Step>
+        <Step id="contact" label="Contact">Contact</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'stepEntered',
+      stepId: 'account',
+      stepLabel: 'Account',
+      position: 1,
+      total: 2,
+    }));
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'stepExited',
+      stepId: 'account',
+      toStepId: 'contact',
+      toStepLabel: 'Contact',
+      durationMs: expect.any(Number),
+    }));
+
+    await user.click(screen.getByRole('button', { name: /previous/i }));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+
+    expect(typesOf(onEvent)).toEqual([
+      'stepEntered',
+      'stepExited', 'stepEntered',
+      'back', 'stepExited', 'stepEntered',
+      'stepExited', 'stepEntered',
+      'stepExited', 'completed',
+    ]);
+    expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+      type: 'completed',
+      stepId: 'contact',
+      durationMs: expect.any(Number),
+    }));
+  });
+
+  /**
+   * Test: blocked validation and StepList jumps are reported
+   */
+  it('reports navigation blocked by validation and jumps through StepList', async () => {
+    const user = userEvent.setup();
+    const onEvent = vi.fn();
+    render(
+      <Stepper onEvent={onEvent}>
+        <StepList />
+        <Step id="name" label="Name">
+          <TextField name="name" label="Name" validate={required('Name is required')} />
+        </Step>
+        <Step id="extras" label="Extras">Extras</Step>
+        <Step id="done" label="Done">Done</Step>
+        <Navigation />
+      </Stepper>
+    );
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+      type: 'navigationBlocked',
+      reason: 'validation',
+      stepId: 'name',
+      toStepId: 'extras',
+    }));
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    await user.click(screen.getByRole('tab', { name: /done/i }));
+    expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'jump',
+      stepId: 'name',
+      toStepId: 'done',
+      toStepLabel: 'Done',
+      direction: 'forward',
+    }));
+  });
+
+  /**
+   * Test: tracker adapters receive events, leaving before completion is reported once
+   */
+  it('reports abandonment to a tracker on pagehide and unmount', async () => {
+    const tracker = { track: vi.fn() };
+    const { unmount } = render(
+      <Stepper tracker={tracker}>
+        <Step id="account" label="Account">Account</Step>
+        <Step id="contact" label="Contact">Contact</Step>
+      </Stepper>
+    );
+    expect(tracker.track).toHaveBeenCalledWith(expect.objectContaining({ type: 'stepEntered' }));
+
+    // The user may still cancel the "Leave site?" prompt
+    fireEvent(window, new Event('beforeunload'));
+    expect(typesOf(tracker.track)).not.toContain('abandoned');
+
+    fireEvent(window, new Event('pagehide'));
+    expect(tracker.track).toHaveBeenLastCalledWith(expect.objectContaining({
+      type: 'abandoned',
+      trigger: 'pagehide',
+      stepId: 'account',
+      totalDurationMs: expect.any(Number),
+    }));
+
+    // Restored from the back/forward cache
+    const pageshow = new Event('pageshow');
+    pageshow.persisted = true;
+    fireEvent(window, pageshow);
+    expect(tracker.track).toHaveBeenLastCalledWith(expect.objectContaining({
+      type: 'stepEntered',
+      stepId: 'account',
+    }));
+
+    tracker.track.mockClear();
+    unmount();
+
+    await waitFor(() => {
+      expect(tracker.track).toHaveBeenLastCalledWith(expect.objectContaining({
+        type: 'abandoned',
+        trigger: 'unmount',
+        stepLabel: 'Account',
+      }));
+    });
+    expect(typesOf(tracker.track).filter(type => type === 'abandoned')).toHaveLength(1);
+  });
+});
+
+describe('Undo and redo', () => {
+  const HistoryControls = () => {
+    const { undo, redo, canUndo, canRedo, reset } = useStepper();
+    return (
+      <div>
+        <button type="button" onClick={undo} disabled={!canUndo}>Undo</button>
+        <button type="button" onClick={redo} disabled={!canRedo}>Redo</button>
+        <button type="button" onClick={reset}>Start over</button>
+      </div>
+    );
+  };
+
+  const renderWizard = createWizard(
+    <>
+      <StepList />
+      <Step id="name" label="Name"><TextField name="name" label="Name" /></Step>
+      <Step id="review" label="Review">Review</Step>
+      <Navigation />
+      <HistoryControls />
+    </>
+  );
+
+  /**
+   * Test: navigation and field edits are undone and redone, typing collapses into one entry
+   */
+  it('undoes and redoes navigation and field edits', async () => {
+    const user = userEvent.setup();
+    renderWizard();
+    const undoButton = screen.getByRole('button', { name: 'Undo' });
+    const redoButton = screen.getByRole('button', { name: 'Redo' });
+    expect(undoButton).toBeDisabled();
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Review');
+
+    await user.click(undoButton);
+    expect(screen.getByLabelText('Name')).toHaveValue('Ada');
+    expect(redoButton).toBeEnabled();
+
+    await user.click(undoButton);
+    expect(screen.getByLabelText('Name')).toHaveValue('');
+    expect(undoButton).toBeDisabled();
+
+    await user.click(redoButton);
+    await user.click(redoButton);
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Review');
+    expect(redoButton).toBeDisabled();
+
+    // A new change clears the redo stack
+    await user.click(undoButton);
+    await user.click(screen.getByRole('tab', { name: /review/i }));
+    expect(redoButton).toBeDisabled();
+  });
+
+  /**
+   * Test: keyboard shortcuts only with historyShortcuts, while focus is inside the stepper
+   */
+  it('binds Ctrl+Z and Ctrl+Shift+Z when historyShortcuts is set', async () => {
+    const user = userEvent.setup();
+    renderWizard({ historyShortcuts: true });
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Review');
+
+    await user.keyboard('{Control>}z{/Control}');
+    expect(screen.getByLabelText('Name')).toBeInTheDocument();
+
+    await user.keyboard('{Control>}{Shift>}z{/Shift}{/Control}');
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Review');
+
+    // Focus outside the stepper is ignored
+    screen.getByRole('button', { name: 'Undo' }).blur();
+    fireEvent.keyDown(document.body, { key: 'z', ctrlKey: true });
+    expect(screen.getByRole('tabpanel')).toHaveTextContent('Review');
+  });
+
+  /**
+   * Test: reset clears the history, the imperative handle exposes undo
+   */
+  it('clears history on reset and exposes undo on the ref', async () => {
+    const user = userEvent.setup();
+    const ref = createRef();
+    renderWizard({ ref });
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    act(() => {
+      ref.current.undo();
+    });
+    expect(ref.current.getState().currentStepId).toBe('name');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: 'Start over' }));
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+  });
+
+  /**
+   * Test: an entry whose step left the active path is dropped instead of blocking the stack
+   */
+  it('drops navigation entries for steps that are no longer reachable', async () => {
+    const user = userEvent.setup();
+    const ref = createRef();
+    const renderSteps = (skipped) => (
+      <Stepper ref={ref}>
+        <Step id="a" label="A">Content A</Step>
+        <Step id="b" label="B" skipped={skipped}>Content B</Step>
+        <Step id="c" label="C">Content C</Step>
+        <Navigation />
+      </Stepper>
+    );
+    const { rerender } = render(renderSteps(false));
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    rerender(renderSteps(true));
+
+    let undone;
+    act(() => {
+      undone = ref.current.undo();
+    });
+    expect(undone).toBe(false);
+    expect(screen.getByText('Content C')).toBeInTheDocument();
+
+    act(() => {
+      undone = ref.current.undo();
+    });
+    expect(undone).toBe(true);
+    expect(screen.getByText('Content A')).toBeInTheDocument();
+  });
+});
+
+describe('Step review', () => {
+  const Checkbox = ({ name, label }) => {
+    const field = useStepField(name, { initialValue: false, label });
+    return (
+      <input type="checkbox" aria-label={label} checked={field.value} onChange={field.onChange} />
+    );
+  };
+
+  const renderWizard = createWizard(
+    <>
+      <StepList />
+      <Step id="account" label="Account">
+        <TextField name="email" label="Email" />
+        <TextField name="phone" label="Phone" />
+      </Step>
+      <Step id="notice" label="Notice">Nothing to fill in</Step>
+      <Step id="preferences" label="Preferences">
+        <Checkbox name="notifications" label="Notifications" />
+      </Step>
+      <Step id="review" label="Review">
+        <StepReview formatters={{ notifications: value => (value ? 'Enabled' : 'Disabled') }} />
+      </Step>
+      <Navigation />
+    </>
+  );
+
+  const goToReview = async (user) => {
+    for (let i = 0; i < 3; i++) {
+      await user.click(screen.getByRole('button', { name: 'Go to next step' }));
+    }
+  };
+
+  /**
+   * Test: earlier steps' fields grouped under their labels, formatted, steps without fields left out
+   */
+  it('lists registered fields under their step labels', async () => {
+    const user = userEvent.setup();
+    renderWizard({ keepMounted: true });
+
+    await user.type(screen.getByLabelText('Email'), 'ada@example.com');
+    await goToReview(user);
+
+    const sections = screen.getAllByRole('heading', { level: 4 }).map(h => h.textContent);
+    expect(sections).toEqual(['Account', 'Preferences']);
+
+    const account = screen.getByRole('heading', { name: 'Account' }).closest('section');
+    expect(within(account).getByText('Email:').nextSibling).toHaveTextContent('ada@example.com');
+    expect(within(account).getByText('Phone:').nextSibling).toHaveTextContent('Not provided');
+
+    const preferences = screen.getByRole('heading', { name: 'Preferences' }).closest('section');
+    expect(within(preferences).getByText('Notifications:').nextSibling).toHaveTextContent('Disabled');
+  });
+
+  /**
+   * Test: Edit goes back to the step and Next there returns to the review
+   */
+  it('returns to the review after editing a step', async () => {
+    const user = userEvent.setup();
+    renderWizard({ keepMounted: true });
+
+    await goToReview(user);
+    await user.click(screen.getByRole('button', { name: 'Edit Account' }));
+    expect(screen.getByRole('tab', { name: /account/i })).toHaveAttribute('aria-selected', 'true');
+
+    await user.type(screen.getByLabelText('Email'), 'ada@example.com');
+    await user.click(screen.getByRole('button', { name: 'Back to Review' }));
+    expect(screen.getByRole('tab', { name: /review/i })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByText('Email:').nextSibling).toHaveTextContent('ada@example.com');
+
+    // Once back, the next visit to the step uses plain Next again
+    await user.click(screen.getByRole('button', { name: 'Edit Account' }));
+    await user.click(screen.getByRole('tab', { name: /review/i }));
+    await user.click(screen.getByRole('tab', { name: /account/i }));
+    expect(screen.getByRole('button', { name: 'Go to next step' })).toBeInTheDocument();
+  });
+
+  /**
+   * Test: no shortcut back to the review past a step that hasn't been completed
+   */
+  it('continues step by step when a later step is not completed', async () => {
+    const user = userEvent.setup();
+    renderWizard({ keepMounted: true });
+
+    await user.click(screen.getByRole('tab', { name: /review/i }));
+    // Review was reached by jumping, so the steps after Account aren't completed
+    await user.click(screen.getByRole('button', { name: 'Edit Account' }));
+    await user.click(screen.getByRole('button', { name: 'Go to next step' }));
+    expect(screen.getByRole('tab', { name: /notice/i })).toHaveAttribute('aria-selected', 'true');
+  });
+});
+
+describe('Leave protection', () => {
+  const renderWizard = createWizard(
+    <>
+      <Step id="name" label="Name"><TextField name="name" label="Name" /></Step>
+      <Step id="confirm" label="Confirm">Confirm</Step>
+      <Navigation />
+      <StepperCompleted>
+        {({ reset }) => <button type="button" onClick={reset}>Start over</button>}
+      </StepperCompleted>
+    </>
+  );
+
+  const fireBeforeUnload = () => {
+    const event = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(event);
+    return event.defaultPrevented;
+  };
+
+  /**
+   * Test: the beforeunload prompt is requested only while dirty, and released on completion
+   */
+  it('prompts before unload while there are unsaved changes', async () => {
+    const user = userEvent.setup();
+    renderWizard({ warnOnLeave: true });
+    expect(fireBeforeUnload()).toBe(false);
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    expect(fireBeforeUnload()).toBe(true);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(screen.getByRole('button', { name: 'Start over' })).toBeInTheDocument();
+    expect(fireBeforeUnload()).toBe(false);
+  });
+
+  /**
+   * Test: attemptLeave asks onAttemptLeave only when dirty, and follows its answer
+   */
+  it('lets a host router ask through attemptLeave', async () => {
+    const user = userEvent.setup();
+    const ref = createRef();
+    const onAttemptLeave = vi.fn()
+      .mockReturnValueOnce(false)
+      .mockResolvedValueOnce(true);
+    renderWizard({ ref, onAttemptLeave });
+
+    expect(ref.current.attemptLeave()).toBe(true);
+    expect(onAttemptLeave).not.toHaveBeenCalled();
+    expect(fireBeforeUnload()).toBe(false);
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(ref.current.getState().isDirty).toBe(true);
+    expect(ref.current.attemptLeave()).toBe(false);
+    expect(onAttemptLeave).toHaveBeenCalledWith({
+      currentStepId: 'confirm',
+      values: { name: '' },
+      completedSteps: ['name'],
+    });
+    await expect(ref.current.attemptLeave()).resolves.toBe(true);
+  });
+
+  /**
+   * Test: without onAttemptLeave the browser confirm dialog asks; reset clears the dirty state
+   */
+  it('falls back to window.confirm and is clean again after reset', async () => {
+    const user = userEvent.setup();
+    const ref = createRef();
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    renderWizard({ ref });
+
+    await user.type(screen.getByLabelText('Name'), 'Ada');
+    expect(ref.current.attemptLeave()).toBe(false);
+    expect(confirm).toHaveBeenCalledWith('You have unsaved changes. Leave anyway?');
+
+    act(() => {
+      ref.current.reset();
+    });
+    expect(ref.current.attemptLeave()).toBe(true);
+    expect(confirm).toHaveBeenCalledTimes(1);
+    confirm.mockRestore();
+  });
+});
+
+describe('Lazy-loaded steps', () => {
+  const Details = ({ label, isActive }) => <p>{label} loaded{isActive ? ' and active' : ''}</p>;
+
+  /**
+   * Test: the fallback shows until load resolves, then the component gets the render props
+   */
+  it('renders the fallback until the step content has loaded', async () => {
+    let resolveLoad;
+    const load = vi.fn(() => new Promise(resolve => {
+      resolveLoad = resolve;
+    }));
+    render(
+      <Stepper>
+        <Step id="details" label="Details" load={load} fallback={<p>Fetching details…</p>} />
+        <Navigation />
+      </Stepper>
+    );
+
+    expect(screen.getByText('Fetching details…')).toBeInTheDocument();
+    expect(screen.getByRole('tabpanel')).toHaveAttribute('aria-busy', 'true');
+    await waitFor(() => expect(load).toHaveBeenCalled());
+
+    await act(async () => {
+      resolveLoad({ default: Details });
+    });
+    expect(screen.getByText('Details loaded and active')).toBeInTheDocument();
+    expect(screen.getByRole('tabpanel')).not.toHaveAttribute('aria-busy');
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  /**
+   * Test: the next step's content starts loading while the current step is active
+   */
+  it('prefetches the next step when a step becomes active', async () => {
+    const user = userEvent.setup();
+    const loadSecond = vi.fn(() => Promise.resolve({ default: Details }));
+    const loadThird = vi.fn(() => Promise.resolve({ default: Details }));
+    render(
+      <Stepper>
+        <Step id="first" label="First">First content</Step>
+        <Step id="second" label="Second" load={loadSecond} />
+        <Step id="third" label="Third" load={loadThird} prefetch={false} />
+        <Navigation />
+      </Stepper>
+    );
+
+    await waitFor(() => expect(loadSecond).toHaveBeenCalledTimes(1));
+    expect(loadThird).not.toHaveBeenCalled();
+
+    // Already loaded, so no fallback
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('Second loaded and active')).toBeInTheDocument();
+    expect(loadThird).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(await screen.findByText('Third loaded and active')).toBeInTheDocument();
+    expect(loadSecond).toHaveBeenCalledTimes(1);
+  });
+
+  /**
+   * Test: a failed load shows an error with a retry action, custom or built in
+   */
+  it('surfaces load errors and retries', async () => {
+    const user = userEvent.setup();
+    const load = vi.fn()
+      .mockRejectedValueOnce(new Error('Chunk failed'))
+      .mockResolvedValueOnce({ default: Details });
+    const { unmount } = render(
+      <Stepper>
+        <Step id="details" label="Details" load={load} />
+      </Stepper>
+    );
+
+    expect(await screen.findByRole('alert')).toHaveTextContent("This step couldn't be loaded.");
+    await user.click(screen.getByRole('button', { name: 'Try again' }));
+    expect(await screen.findByText('Details loaded and active')).toBeInTheDocument();
+    expect(load).toHaveBeenCalledTimes(2);
+    unmount();
+
+    render(
+      <Stepper>
+        <Step
+          id="map"
+          label="Map"
+          load={() => Promise.reject(new Error('Chunk failed'))}
+          renderLoadError={({ error, retry }) => (
+            <button type="button" onClick={retry}>{error.message}, reload map</button>
+          )}
+        />
+      </Stepper>
+    );
+    expect(await screen.findByRole('button', { name: 'Chunk failed, reload map' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * StepperCompleted.jsx
+ * 
+ * Slot shown in place of the steps once the stepper has completed.
+ * Consumes stepper context without prop drilling.
+ */
+
+import { useEffect } from 'react';
+import { useStepper } from './StepperContext';
+
+/**
+ * StepperCompleted - Content rendered after onComplete succeeds
+ * 
+ * Renders nothing until the stepper has completed. While one is mounted, completing
+ * hides the steps and Navigation; without one the last step stays visible.
+ * 
+ * @param {Object} props
+ * @param {React.ReactNode|Function} props.children - Content, or ({ values, reset }) => content
+ * @param {string} props.className - Additional CSS classes
+ */
+const StepperCompleted = ({ children, className = '' }) => {
+  const { isComplete, values, reset, registerCompletedContent } = useStepper();
+
+  useEffect(() => registerCompletedContent(), [registerCompletedContent]);
+
+  if (!isComplete) {
+    return null;
+  }
+
+  return (
+    <div className={`stepper-completed ${className}`} role="status">
+      {typeof children === 'function' ? children({ values, reset }) : children}
+    </div>
+  );
+};
+
+export default StepperCompleted;
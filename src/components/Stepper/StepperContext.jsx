@@ -5,7 +5,8 @@
  * This provides internal state synchronization across all child components.
  */
 
-import { createContext, useContext } from 'react';
+import { createContext, useContext, useMemo } from 'react';
+import { mergeMessages, createTranslator } from './messages';
 
 /**
  * Context to share stepper state between compound components
@@ -13,6 +14,13 @@ import { createContext, useContext } from 'react';
  */
 export const StepperContext = createContext(null);
 
+/**
+ * Context provided by each Step to its content
+ * Lets field hooks (useStepField) know which step they belong to
+ * Contains: id, index
+ */
+export const StepContext = createContext(null);
+
 /**
  * Custom hook to access stepper context
  * Throws error if used outside of Stepper component (compound component pattern)
@@ -29,3 +37,36 @@ export const useStepper = () => {
   
   return context;
 };
+
+/**
+ * Context carrying { locale, dir, messages } down to Steppers
+ * Set by StepperLocaleProvider and by every Stepper for the Steppers nested in it
+ */
+export const StepperLocaleContext = createContext(null);
+
+/**
+ * useStepperLocale - Resolve locale settings from the provider and overrides
+ *
+ * @param {Object} overrides
+ * @param {string} overrides.locale - BCP 47 locale, used for plural rules (optional)
+ * @param {Object} overrides.messages - Message overrides (optional)
+ * @param {'ltr'|'rtl'} overrides.dir - Text direction (optional)
+ * @returns {Object} { locale, dir, messages, t }
+ */
+export const useStepperLocale = ({ locale, messages, dir } = {}) => {
+  const inherited = useContext(StepperLocaleContext);
+  const resolvedLocale = locale ?? inherited?.locale;
+  const resolvedDir = dir ?? inherited?.dir;
+  const inheritedMessages = inherited?.messages;
+
+  const resolvedMessages = useMemo(
+    () => mergeMessages(inheritedMessages, messages),
+    [inheritedMessages, messages],
+  );
+  const t = useMemo(
+    () => createTranslator(resolvedMessages, resolvedLocale),
+    [resolvedMessages, resolvedLocale],
+  );
+
+  return { locale: resolvedLocale, dir: resolvedDir, messages: resolvedMessages, t };
+};
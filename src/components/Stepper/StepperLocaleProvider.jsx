@@ -0,0 +1,35 @@
+/**
+ * StepperLocaleProvider.jsx
+ * 
+ * Locale, text direction and messages for the Stepper components.
+ * A StepperLocaleProvider sets them for every Stepper below it; a Stepper's own
+ * locale/messages/dir props win, and each Stepper passes its result on to nested ones.
+ */
+
+import { useMemo } from 'react';
+import { StepperLocaleContext, useStepperLocale } from './StepperContext';
+
+/**
+ * StepperLocaleProvider - Set locale, direction and messages for all Steppers inside
+ *
+ * @param {Object} props
+ * @param {string} props.locale - BCP 47 locale, used for plural rules (optional)
+ * @param {Object} props.messages - Message overrides (optional)
+ * @param {'ltr'|'rtl'} props.dir - Text direction (optional)
+ * @param {React.ReactNode} props.children - Content
+ */
+const StepperLocaleProvider = ({ locale, messages, dir, children }) => {
+  const resolved = useStepperLocale({ locale, messages, dir });
+  const value = useMemo(
+    () => ({ locale: resolved.locale, dir: resolved.dir, messages: resolved.messages }),
+    [resolved.locale, resolved.dir, resolved.messages],
+  );
+
+  return (
+    <StepperLocaleContext.Provider value={value}>
+      {children}
+    </StepperLocaleContext.Provider>
+  );
+};
+
+export default StepperLocaleProvider;
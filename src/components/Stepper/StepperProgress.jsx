@@ -0,0 +1,121 @@
+/**
+ * StepperProgress.jsx
+ *
+ * Compact progress display: a linear bar, a circular ring or "Step n of m" text.
+ * Consumes stepper context without prop drilling.
+ * Progress is the share of completed steps on the active path, weighted by each Step's weight.
+ */
+
+import { useStepper } from './StepperContext';
+
+/**
+ * Percentage of the active path's weight that is completed (0-100)
+ */
+const getPercentage = (activeSteps, isStepCompleted, isComplete) => {
+  if (isComplete) {
+    return 100;
+  }
+  const weightOf = (step) => step.weight ?? 1;
+  const totalWeight = activeSteps.reduce((sum, step) => sum + weightOf(step), 0);
+  if (totalWeight === 0) {
+    return 0;
+  }
+  const completedWeight = activeSteps
+    .filter(step => isStepCompleted(step.id))
+    .reduce((sum, step) => sum + weightOf(step), 0);
+  return Math.round((completedWeight / totalWeight) * 100);
+};
+
+/**
+ * StepperProgress - Progress bar, ring or text
+ *
+ * @param {Object} props
+ * @param {'bar'|'circle'|'text'} props.variant - How progress is shown (default: 'bar')
+ * @param {string} props.label - Accessible name of the progressbar (default: the progressLabel message)
+ * @param {number} props.size - Diameter of the circle variant in px (default: 48)
+ * @param {number} props.strokeWidth - Ring thickness of the circle variant in px (default: 4)
+ * @param {string} props.className - Additional CSS classes
+ */
+const StepperProgress = ({
+  variant = 'bar',
+  label,
+  size = 48,
+  strokeWidth = 4,
+  className = '',
+}) => {
+  const {
+    activeSteps,
+    activeStepPosition,
+    totalSteps,
+    isStepCompleted,
+    isComplete,
+    t,
+  } = useStepper();
+
+  const percentage = getPercentage(activeSteps, isStepCompleted, isComplete);
+  const stepText = t('stepPosition', { position: activeStepPosition + 1, total: totalSteps, count: totalSteps });
+  const valueText = t('progressValue', { percentage });
+
+  const progressProps = {
+    role: 'progressbar',
+    'aria-label': label ?? t('progressLabel'),
+    'aria-valuemin': 0,
+    'aria-valuemax': 100,
+    'aria-valuenow': percentage,
+    'aria-valuetext': valueText,
+  };
+
+  if (variant === 'text') {
+    return (
+      <div
+        className={`stepper-progress stepper-progress-text ${className}`}
+        {...progressProps}
+        aria-valuetext={`${stepText}, ${valueText}`}
+      >
+        {stepText}
+      </div>
+    );
+  }
+
+  if (variant === 'circle') {
+    const radius = (size - strokeWidth) / 2;
+    const circumference = 2 * Math.PI * radius;
+
+    return (
+      <div
+        className={`stepper-progress stepper-progress-circle ${className}`}
+        style={{ width: size, height: size }}
+        {...progressProps}
+      >
+        <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true">
+          <circle
+            className="stepper-progress-track"
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            strokeWidth={strokeWidth}
+          />
+          <circle
+            className="stepper-progress-fill"
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            strokeWidth={strokeWidth}
+            strokeDasharray={circumference}
+            strokeDashoffset={circumference * (1 - percentage / 100)}
+            transform={`rotate(-90 ${size / 2} ${size / 2})`}
+          />
+        </svg>
+        <span className="stepper-progress-value">{percentage}%</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`stepper-progress stepper-progress-bar ${className}`} {...progressProps}>
+      <div className="stepper-progress-fill" style={{ width: `${percentage}%` }} />
+    </div>
+  );
+};
+
+export default StepperProgress;
@@ -0,0 +1,68 @@
+/**
+ * StepperProgress.test.jsx
+ *
+ * Test suite for the progress displays.
+ * Tests the bar, circle and text variants, step weights and completion.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Stepper, Step, Navigation, StepperProgress } from './index';
+
+const renderProgress = (variant) => render(
+  <Stepper>
+    <StepperProgress variant={variant} />
+    <Step id="details" label="Details" weight={3}>Details</Step>
+    <Step id="extras" label="Extras">Extras</Step>
+    <Step id="confirm" label="Confirm">Confirm</Step>
+    <Navigation />
+  </Stepper>
+);
+
+describe('StepperProgress', () => {
+  /**
+   * Test: the bar fills by completed step weight
+   */
+  it('weights progress by step weight', async () => {
+    const user = userEvent.setup();
+    renderProgress('bar');
+
+    const progressbar = screen.getByRole('progressbar', { name: 'Progress' });
+    expect(progressbar).toHaveAttribute('aria-valuenow', '0');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    expect(progressbar).toHaveAttribute('aria-valuenow', '60');
+    expect(progressbar.querySelector('.stepper-progress-fill')).toHaveStyle({ width: '60%' });
+  });
+
+  /**
+   * Test: the circle shows the percentage, completion fills it
+   */
+  it('renders a circular ring that reaches 100% on completion', async () => {
+    const user = userEvent.setup();
+    renderProgress('circle');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    await user.click(screen.getByRole('button', { name: /next/i }));
+    expect(screen.getByText('80%')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /finish/i }));
+    expect(screen.getByRole('progressbar')).toHaveAttribute('aria-valuenow', '100');
+  });
+
+  /**
+   * Test: the text variant reads "Step n of m"
+   */
+  it('shows the position as text', async () => {
+    const user = userEvent.setup();
+    renderProgress('text');
+
+    await user.click(screen.getByRole('button', { name: /next/i }));
+
+    const progressbar = screen.getByRole('progressbar');
+    expect(progressbar).toHaveTextContent('Step 2 of 3');
+    expect(progressbar).toHaveAttribute('aria-valuetext', 'Step 2 of 3, 60% complete');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * focusStrategy.js
+ *
+ * Where focus goes after the Stepper navigates or validation blocks it.
+ * 'tab' (default) leaves it to StepList, which focuses the active tab.
+ * 'heading' focuses the new step panel's first heading.
+ * 'firstInvalid' focuses the first invalid field, falling back to the heading.
+ * 'none' leaves focus alone.
+ */
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+const INVALID_SELECTOR = '[aria-invalid="true"]';
+
+/**
+ * Move focus into a step panel
+ * Headings aren't focusable by default, so they get tabindex="-1" first.
+ *
+ * @param {HTMLElement|null} panel - Step panel element
+ * @param {boolean} preferInvalid - Focus the first invalid field if there is one
+ */
+export const focusStepPanel = (panel, preferInvalid) => {
+  if (!panel) {
+    return;
+  }
+  const target = (preferInvalid && panel.querySelector(INVALID_SELECTOR)) ||
+    panel.querySelector(HEADING_SELECTOR) ||
+    panel;
+
+  if (target !== panel && !target.hasAttribute('tabindex') && target.tabIndex < 0) {
+    target.setAttribute('tabindex', '-1');
+  }
+  target.focus();
+};
@@ -0,0 +1,87 @@
+/**
+ * guards.js
+ *
+ * Helpers for running navigation guards (canLeave, canEnter, beforeStepChange).
+ * A guard may return a boolean, a redirect target (step index or id),
+ * or a Promise resolving to either. Synchronous guards are resolved
+ * synchronously so unguarded navigation stays instant.
+ */
+
+/**
+ * Allowed outcome - navigation proceeds to the requested step
+ */
+export const ALLOW = { type: 'allow' };
+
+/**
+ * Check whether a value is a Promise-like object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value has a then() method
+ */
+export const isThenable = (value) => (
+  value !== null &&
+  (typeof value === 'object' || typeof value === 'function') &&
+  typeof value.then === 'function'
+);
+
+/**
+ * Convert a single guard result into an outcome
+ *
+ * - false: block the transition
+ * - number | string: redirect to that step index or id; the step being entered
+ *   itself (args.to or args.toStep.id) continues instead
+ * - anything else (true, undefined): continue with the next guard
+ *
+ * @param {*} result - Value returned by a guard
+ * @param {Object} args - Transition details the guard was called with
+ * @returns {Object|null} Outcome, or null to continue
+ */
+const toOutcome = (result, { to, toStep }) => {
+  if (result === false) {
+    return { type: 'block' };
+  }
+  if (result === to || (toStep && result === toStep.id)) {
+    return null;
+  }
+  if (typeof result === 'number' || typeof result === 'string') {
+    return { type: 'redirect', target: result };
+  }
+  return null;
+};
+
+/**
+ * Run guards in order until one blocks or redirects
+ *
+ * Returns the outcome synchronously while guards are synchronous and
+ * switches to a Promise as soon as one of them returns a thenable.
+ * Thrown errors and rejected Promises block the transition.
+ *
+ * @param {Function[]} guards - Guard functions
+ * @param {Object} args - Transition details passed to every guard
+ * @param {number} start - Index of the first guard to run
+ * @returns {Object|Promise<Object>} Outcome: { type: 'allow' | 'block' | 'redirect' }
+ */
+export const runGuards = (guards, args, start = 0) => {
+  for (let i = start; i < guards.length; i++) {
+    let result;
+    try {
+      result = guards[i](args);
+    } catch (error) {
+      return { type: 'block', error };
+    }
+
+    if (isThenable(result)) {
+      return Promise.resolve(result).then(
+        (resolved) => toOutcome(resolved, args) || runGuards(guards, args, i + 1),
+        (error) => ({ type: 'block', error }),
+      );
+    }
+
+    const outcome = toOutcome(result, args);
+    if (outcome) {
+      return outcome;
+    }
+  }
+
+  return ALLOW;
+};
@@ -19,4 +19,13 @@ export { default as Stepper } from './Stepper';
 export { default as Step } from './Step';
 export { default as StepList } from './StepList';
 export { default as Navigation } from './Navigation';
+export { default as StepperCompleted } from './StepperCompleted';
+export { default as StepperProgress } from './StepperProgress';
+export { default as StepReview } from './StepReview';
+export { default as StepperLocaleProvider } from './StepperLocaleProvider';
+export { default as SchemaStepper } from './SchemaStepper';
 export { useStepper } from './StepperContext';
+export { useStepField } from './useStepField';
+export { validateSchema } from './schema';
+export { createWebStorageAdapter } from './persistence';
+export { useStepTransition } from './useStepTransition';
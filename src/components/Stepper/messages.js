@@ -0,0 +1,116 @@
+/**
+ * messages.js
+ *
+ * Built-in strings of the Stepper components and the template formatting used
+ * to localize them. A template is a string with {placeholders}, a function of
+ * the parameters, or an object of templates keyed by Intl.PluralRules category
+ * ('one', 'few', 'other', ...) chosen by the count parameter.
+ */
+
+/**
+ * Default screen reader announcements by type
+ *
+ * - stepChange: { position, total, count, label, id } after the active step changes
+ * - invalid: { position, total, count, label, id } when field validation blocks navigation
+ * - blocked: { label, target } when a guard blocks navigation
+ * - complete: { total, count } once the stepper has completed
+ */
+export const DEFAULT_ANNOUNCEMENTS = {
+  stepChange: 'Step {position} of {total}, {label}',
+  invalid: '{label} has errors. Fix them to continue.',
+  blocked: "Couldn't move to {target}.",
+  complete: 'All steps complete.',
+};
+
+/**
+ * Default (English) messages
+ */
+export const DEFAULT_MESSAGES = {
+  // Navigation
+  previous: 'Previous',
+  next: 'Next',
+  finish: 'Finish',
+  submitting: 'Submitting…',
+  previousAriaLabel: 'Go to previous step',
+  nextAriaLabel: 'Go to next step',
+  finishAriaLabel: 'Finish',
+  // Next while editing a step from a review step - { label } of the review step
+  backTo: 'Back to {label}',
+  // StepList and StepperProgress - { position, total, count }
+  stepListLabel: 'Form steps',
+  stepPosition: 'Step {position} of {total}',
+  optional: 'Optional',
+  progressLabel: 'Progress',
+  progressValue: '{percentage}% complete',
+  // Confirmation before leaving a wizard with unsaved changes (attemptLeave)
+  leaveConfirm: 'You have unsaved changes. Leave anyway?',
+  // Step content loaded with Step's load prop
+  stepLoading: 'Loading…',
+  stepLoadError: "This step couldn't be loaded.",
+  retry: 'Try again',
+  // StepReview - { label } of the step
+  edit: 'Edit',
+  editAriaLabel: 'Edit {label}',
+  // SchemaStepper
+  fieldRequired: '{label} is required',
+  fieldInvalid: ({ label }) => `Please enter a valid ${label.toLowerCase()}`,
+  reviewLabel: 'Review',
+  reviewTitle: 'Review Your Information',
+  reviewDescription: 'Please verify all details before submitting',
+  submit: 'Submit',
+  yes: 'Yes',
+  no: 'No',
+  notProvided: 'Not provided',
+  announcements: DEFAULT_ANNOUNCEMENTS,
+};
+
+/**
+ * Fill a message template with parameters
+ * Unknown placeholders are left as they are.
+ *
+ * @param {string|Function|Object} template - Template string, (params) => string,
+ *   or plural templates keyed by category
+ * @param {Object} params - Values for the placeholders
+ * @param {string} locale - Locale for plural rules (optional)
+ * @returns {string} Message
+ */
+export const formatMessage = (template, params = {}, locale) => {
+  if (typeof template === 'function') {
+    return template(params);
+  }
+  if (template && typeof template === 'object') {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    return formatMessage(template[category] ?? template.other, params, locale);
+  }
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => (
+    params[key] === undefined ? match : String(params[key])
+  ));
+};
+
+/**
+ * Merge message overrides over the defaults, announcements one level deep
+ *
+ * @param {...Object} overrides - Message objects, later ones win (undefined entries are skipped)
+ * @returns {Object} Complete messages
+ */
+export const mergeMessages = (...overrides) => overrides.filter(Boolean).reduce((merged, messages) => ({
+  ...merged,
+  ...messages,
+  announcements: { ...merged.announcements, ...messages.announcements },
+}), DEFAULT_MESSAGES);
+
+/**
+ * Create a translate function for a set of messages
+ *
+ * @param {Object} messages - Complete messages (see mergeMessages)
+ * @param {string} locale - Locale for plural rules (optional)
+ * @returns {Function} (key, params) => string - unknown keys are returned as is
+ */
+export const createTranslator = (messages, locale) => (key, params) => (
+  messages[key] === undefined ? key : formatMessage(messages[key], params, locale)
+);
+
+/**
+ * English translate function, used where no locale is provided
+ */
+export const translate = createTranslator(DEFAULT_MESSAGES);
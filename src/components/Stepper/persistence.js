@@ -0,0 +1,88 @@
+/**
+ * persistence.js
+ *
+ * Storage adapters for persisting Stepper progress.
+ * An adapter is any object with load(key), save(key, snapshot) and remove(key);
+ * each method may return a Promise, so IndexedDB or a server draft endpoint
+ * can be plugged in the same way as localStorage.
+ */
+
+/**
+ * Create an adapter backed by a Web Storage object (localStorage / sessionStorage)
+ * Snapshots are serialized as JSON; unreadable entries load as null.
+ *
+ * @param {Storage} storage - Web Storage implementation
+ * @returns {Object} Storage adapter
+ */
+export const createWebStorageAdapter = (storage) => ({
+  load: (key) => {
+    const raw = storage.getItem(key);
+    if (raw === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  },
+  save: (key, snapshot) => {
+    storage.setItem(key, JSON.stringify(snapshot));
+  },
+  remove: (key) => {
+    storage.removeItem(key);
+  },
+});
+
+/**
+ * Get a Web Storage object by name, or null where it isn't available
+ * (server rendering, disabled storage in private browsing)
+ */
+const getWebStorage = (name) => {
+  try {
+    return typeof window === 'undefined' ? null : window[name];
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Resolve the persist.storage option to an adapter
+ *
+ * @param {'local'|'session'|Object} storage - Storage name or custom adapter (default: 'local')
+ * @returns {Object|null} Storage adapter, or null if storage is unavailable
+ * @throws {Error} If storage is neither a known name nor an adapter
+ */
+export const resolveStorageAdapter = (storage = 'local') => {
+  if (storage === 'local' || storage === 'session') {
+    const webStorage = getWebStorage(`${storage}Storage`);
+    return webStorage ? createWebStorageAdapter(webStorage) : null;
+  }
+
+  const isAdapter = storage &&
+    typeof storage.load === 'function' &&
+    typeof storage.save === 'function' &&
+    typeof storage.remove === 'function';
+
+  if (!isAdapter) {
+    throw new Error('Stepper: persist.storage must be "local", "session" or an adapter with load, save and remove');
+  }
+
+  return storage;
+};
+
+/**
+ * Check whether a stored snapshot still matches the current wizard
+ *
+ * @param {Object} snapshot - Stored snapshot
+ * @param {*} version - Expected version
+ * @param {string[]} stepIds - Ids of the currently registered steps, in order
+ * @returns {boolean} True if the snapshot can be restored
+ */
+export const isSnapshotCompatible = (snapshot, version, stepIds) => (
+  Boolean(snapshot) &&
+  snapshot.version === version &&
+  Array.isArray(snapshot.stepIds) &&
+  snapshot.stepIds.length === stepIds.length &&
+  snapshot.stepIds.every((id, index) => id === stepIds[index])
+);
@@ -0,0 +1,290 @@
+/**
+ * schema.js
+ *
+ * Validation and normalization of SchemaStepper definitions.
+ * Turns a JSON step/field description into the shape SchemaStepper renders,
+ * collecting every problem so a malformed schema fails with one clear error.
+ */
+
+import { translate } from './messages';
+
+/**
+ * Supported field types
+ */
+export const FIELD_TYPES = ['text', 'email', 'tel', 'number', 'password', 'textarea', 'select', 'radio', 'checkbox'];
+
+/**
+ * Field types that require an options list
+ */
+const OPTION_TYPES = ['select', 'radio'];
+
+/**
+ * Default id of the auto-generated review step
+ */
+const DEFAULT_REVIEW_ID = 'review';
+
+/**
+ * Pattern used for email fields without an explicit pattern
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check whether a field value counts as empty for "required" purposes
+ */
+const isEmptyValue = (value, type) => {
+  if (type === 'checkbox') {
+    return value !== true;
+  }
+  return value === undefined || value === null || String(value).trim() === '';
+};
+
+/**
+ * Validate a field's option list
+ */
+const validateOptions = (options, path, issues) => {
+  if (!Array.isArray(options) || options.length === 0) {
+    issues.push(`${path}.options must be a non-empty array`);
+    return;
+  }
+
+  options.forEach((option, index) => {
+    const isValidOption = typeof option === 'string' ||
+      (isPlainObject(option) && option.value !== undefined && isNonEmptyString(option.label));
+    if (!isValidOption) {
+      issues.push(`${path}.options[${index}] must be a string or { value, label }`);
+    }
+  });
+};
+
+/**
+ * Validate a single field definition
+ */
+const validateField = (field, path, fieldNames, issues) => {
+  if (!isPlainObject(field)) {
+    issues.push(`${path} must be an object`);
+    return;
+  }
+
+  if (!isNonEmptyString(field.name)) {
+    issues.push(`${path}.name is required`);
+  } else if (fieldNames.has(field.name)) {
+    issues.push(`${path}.name "${field.name}" is already used by another field`);
+  } else {
+    fieldNames.add(field.name);
+  }
+
+  if (!isNonEmptyString(field.label)) {
+    issues.push(`${path}.label is required`);
+  }
+
+  if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+    issues.push(`${path}.type "${field.type}" is not supported (expected one of: ${FIELD_TYPES.join(', ')})`);
+  }
+
+  if (OPTION_TYPES.includes(field.type)) {
+    validateOptions(field.options, path, issues);
+  }
+
+  if (field.required !== undefined && typeof field.required !== 'boolean' && typeof field.required !== 'string') {
+    issues.push(`${path}.required must be a boolean or an error message`);
+  }
+
+  if (field.pattern !== undefined && !(field.pattern instanceof RegExp)) {
+    if (typeof field.pattern !== 'string') {
+      issues.push(`${path}.pattern must be a string or RegExp`);
+    } else {
+      try {
+        new RegExp(field.pattern);
+      } catch {
+        issues.push(`${path}.pattern "${field.pattern}" is not a valid regular expression`);
+      }
+    }
+  }
+};
+
+/**
+ * Validate a schema definition
+ *
+ * @param {Object} schema - Schema definition
+ * @returns {string[]} List of problems, empty when the schema is valid
+ */
+export const validateSchema = (schema) => {
+  const issues = [];
+
+  if (!isPlainObject(schema)) {
+    return ['schema must be an object'];
+  }
+
+  if (!Array.isArray(schema.steps) || schema.steps.length === 0) {
+    return ['schema.steps must be a non-empty array'];
+  }
+
+  const stepIds = new Set();
+  const fieldNames = new Set();
+
+  schema.steps.forEach((step, stepIndex) => {
+    const path = `steps[${stepIndex}]`;
+
+    if (!isPlainObject(step)) {
+      issues.push(`${path} must be an object`);
+      return;
+    }
+
+    if (!isNonEmptyString(step.id)) {
+      issues.push(`${path}.id is required`);
+    } else if (stepIds.has(step.id)) {
+      issues.push(`${path}.id "${step.id}" is already used by another step`);
+    } else {
+      stepIds.add(step.id);
+    }
+
+    if (!isNonEmptyString(step.label)) {
+      issues.push(`${path}.label is required`);
+    }
+
+    if (step.fields !== undefined && !Array.isArray(step.fields)) {
+      issues.push(`${path}.fields must be an array`);
+      return;
+    }
+
+    (step.fields || []).forEach((field, fieldIndex) => {
+      validateField(field, `${path}.fields[${fieldIndex}]`, fieldNames, issues);
+    });
+  });
+
+  const { review } = schema;
+  if (review !== undefined && typeof review !== 'boolean' && !isPlainObject(review)) {
+    issues.push('schema.review must be a boolean or an object');
+  } else if (review !== false) {
+    const reviewId = (isPlainObject(review) && review.id) || DEFAULT_REVIEW_ID;
+    if (stepIds.has(reviewId)) {
+      issues.push(`schema.review id "${reviewId}" clashes with a step id, set review.id to a unique value`);
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Build a validator function for a normalized field
+ *
+ * @param {Object} field - Normalized field
+ * @param {Function} t - Translate function for the generated messages
+ * @returns {Function} (value) => error message or undefined
+ */
+const createFieldValidator = (field, t) => (value) => {
+  if (isEmptyValue(value, field.type)) {
+    if (!field.required) {
+      return undefined;
+    }
+    return typeof field.required === 'string' ? field.required : t('fieldRequired', { label: field.label });
+  }
+
+  if (field.pattern && !field.pattern.test(String(value))) {
+    return field.patternMessage || t('fieldInvalid', { label: field.label });
+  }
+
+  return undefined;
+};
+
+/**
+ * Normalize a single field definition
+ */
+const normalizeField = (field, t) => {
+  const type = field.type || 'text';
+  let pattern = field.pattern;
+  if (typeof pattern === 'string') {
+    pattern = new RegExp(pattern);
+  } else if (!pattern && type === 'email') {
+    pattern = EMAIL_PATTERN;
+  }
+
+  const normalized = {
+    ...field,
+    type,
+    pattern,
+    options: (field.options || []).map(option => (
+      typeof option === 'string' ? { value: option, label: option } : option
+    )),
+  };
+
+  normalized.validate = createFieldValidator(normalized, t);
+  return normalized;
+};
+
+/**
+ * Default value of a field when the schema doesn't provide one
+ */
+const getDefaultValue = (field) => {
+  if (field.defaultValue !== undefined) {
+    return field.defaultValue;
+  }
+  return field.type === 'checkbox' ? false : '';
+};
+
+/**
+ * Validate and normalize a schema definition
+ *
+ * @param {Object} schema - Schema definition
+ * @param {Function} t - Translate function for built-in strings (default: English)
+ * @returns {Object} { steps, review, initialValues }
+ * @throws {Error} Listing every problem if the schema is malformed
+ */
+export const normalizeSchema = (schema, t = translate) => {
+  const issues = validateSchema(schema);
+
+  if (issues.length > 0) {
+    const error = new Error(`Invalid stepper schema:\n- ${issues.join('\n- ')}`);
+    error.issues = issues;
+    throw error;
+  }
+
+  const steps = schema.steps.map(step => ({
+    ...step,
+    fields: (step.fields || []).map(field => normalizeField(field, t)),
+  }));
+
+  const initialValues = {};
+  steps.forEach(step => {
+    step.fields.forEach(field => {
+      initialValues[field.name] = getDefaultValue(field);
+    });
+  });
+
+  const review = schema.review === false
+    ? null
+    : {
+        id: DEFAULT_REVIEW_ID,
+        label: t('reviewLabel'),
+        title: t('reviewTitle'),
+        description: t('reviewDescription'),
+        ...(isPlainObject(schema.review) ? schema.review : {}),
+      };
+
+  return { steps, review, initialValues };
+};
+
+/**
+ * Format a field value for the review step
+ *
+ * @param {Object} field - Normalized field
+ * @param {*} value - Current field value
+ * @param {Function} t - Translate function for built-in strings (default: English)
+ * @returns {string} Human readable value
+ */
+export const formatFieldValue = (field, value, t = translate) => {
+  if (field.type === 'checkbox') {
+    return t(value ? 'yes' : 'no');
+  }
+  if (isEmptyValue(value, field.type)) {
+    return t('notProvided');
+  }
+  const option = field.options.find(o => String(o.value) === String(value));
+  return option ? option.label : String(value);
+};
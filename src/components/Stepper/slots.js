@@ -0,0 +1,61 @@
+/**
+ * slots.js
+ *
+ * classNames/slotProps customization of the elements the Stepper components render.
+ * Each element is a named slot; classNames adds classes to it and slotProps passes
+ * it extra props, either an object or a function of the element's state.
+ * Stepper-level settings apply to every component inside, component props add to them.
+ * The component's own props (role, ARIA, handlers) always win; classes and styles merge.
+ */
+
+import { useStepper } from './StepperContext';
+
+/**
+ * Join class names, skipping empty ones
+ *
+ * @param {...(string|false|null|undefined)} classes
+ * @returns {string} Class attribute value
+ */
+export const cx = (...classes) => classes.filter(Boolean).join(' ');
+
+/**
+ * Merge slot customizations under a slot's own props
+ *
+ * @param {string} slot - Slot name, e.g. 'item' or 'nextButton'
+ * @param {Object[]} layers - { classNames, slotProps } objects, outermost first
+ * @param {Object} ownProps - Props the component sets on the element
+ * @param {Object} state - Passed to slotProps functions (optional)
+ * @returns {Object} Props to spread on the element
+ */
+export const mergeSlotProps = (slot, layers, ownProps, state = {}) => (
+  layers.reduce((props, { classNames, slotProps } = {}) => {
+    const extra = typeof slotProps?.[slot] === 'function'
+      ? slotProps[slot](state)
+      : slotProps?.[slot];
+
+    return {
+      ...extra,
+      ...props,
+      className: cx(props.className, classNames?.[slot], extra?.className),
+      style: extra?.style || props.style ? { ...extra?.style, ...props.style } : undefined,
+    };
+  }, ownProps)
+);
+
+/**
+ * useSlots - Slot props resolver for a component inside a Stepper
+ *
+ * @param {Object} customization
+ * @param {Object} customization.classNames - Classes by slot name (optional)
+ * @param {Object} customization.slotProps - Props (or state => props) by slot name (optional)
+ * @returns {Function} (slot, ownProps, state) => props
+ */
+export const useSlots = ({ classNames, slotProps } = {}) => {
+  const stepper = useStepper();
+  const layers = [
+    { classNames: stepper.classNames, slotProps: stepper.slotProps },
+    { classNames, slotProps },
+  ];
+
+  return (slot, ownProps, state) => mergeSlotProps(slot, layers, ownProps, state);
+};
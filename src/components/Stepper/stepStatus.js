@@ -0,0 +1,49 @@
+/**
+ * stepStatus.js
+ *
+ * Per-step status model shared by Stepper, Step and StepList.
+ * A status combines the Step's props with overrides set imperatively
+ * through setStepStatus; overrides win, including explicit false/null.
+ * skipped is resolved by Step itself (when/skip/skipped and the override),
+ * which registers the result, since it decides whether the step renders.
+ */
+
+/**
+ * Status flags and their defaults
+ * error and warning may be true or a message string
+ */
+export const STEP_STATUS_DEFAULTS = {
+  error: null,
+  warning: null,
+  optional: false,
+  disabled: false,
+  loading: false,
+};
+
+/**
+ * Pick the status flags out of a Step's props, leaving unset ones out
+ *
+ * @param {Object} props - Step props
+ * @returns {Object} Status flags defined on the step
+ */
+export const pickStepStatus = (props) => (
+  Object.fromEntries(
+    Object.keys(STEP_STATUS_DEFAULTS)
+      .filter(key => props[key] !== undefined)
+      .map(key => [key, props[key]])
+  )
+);
+
+/**
+ * Merge a registered step's status with imperative overrides
+ *
+ * @param {Object} step - Registered step (may be undefined)
+ * @param {Object} override - Overrides from setStepStatus (optional)
+ * @returns {Object} { error, warning, optional, disabled, loading, skipped }
+ */
+export const resolveStepStatus = (step, override = {}) => ({
+  ...STEP_STATUS_DEFAULTS,
+  ...step?.status,
+  ...override,
+  skipped: Boolean(step?.skipped),
+});
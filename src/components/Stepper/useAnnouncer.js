@@ -0,0 +1,37 @@
+/**
+ * useAnnouncer.js
+ *
+ * Screen reader announcements for the Stepper. Messages are rendered into an
+ * aria-live region; templates come from the Stepper's messages (see messages.js)
+ * so they can be customized or localized.
+ */
+
+import { useCallback, useState } from 'react';
+import { formatMessage } from './messages';
+
+/**
+ * useAnnouncer - Live region messages
+ *
+ * @param {Object|false} templates - Templates by announcement type; a falsy template
+ *   (or false for all of them) turns those announcements off
+ * @param {string} locale - Locale for plural templates (optional)
+ * @returns {Object} { announcement, announce } - announcement is { message, id }
+ */
+export const useAnnouncer = (templates, locale) => {
+  const [announcement, setAnnouncement] = useState({ message: '', id: 0 });
+
+  /**
+   * Announce a message of the given type
+   * The id changes on every call so repeating a message is announced again
+   */
+  const announce = useCallback((type, params) => {
+    const template = templates && templates[type];
+    if (!template) {
+      return;
+    }
+    const message = formatMessage(template, params, locale);
+    setAnnouncement(prev => ({ message, id: prev.id + 1 }));
+  }, [templates, locale]);
+
+  return { announcement, announce };
+};
@@ -0,0 +1,55 @@
+/**
+ * useControllableState.js
+ *
+ * State that can be owned by the component (uncontrolled) or by its parent
+ * through a prop (controlled). In controlled mode updates are only reported
+ * through onChange; the parent decides whether to apply them.
+ */
+
+import { useState, useCallback, useLayoutEffect, useRef } from 'react';
+
+/**
+ * useControllableState - Controlled/uncontrolled state
+ *
+ * @param {*} controlledValue - Value from props; undefined means uncontrolled
+ * @param {*} defaultValue - Initial value in uncontrolled mode
+ * @param {Function} onChange - Called with the next value when it changes (optional)
+ * @returns {Array} [value, setValue, isControlled] - setValue accepts a value or an updater
+ */
+export const useControllableState = (controlledValue, defaultValue, onChange) => {
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue);
+  const isControlled = controlledValue !== undefined;
+  const value = isControlled ? controlledValue : uncontrolledValue;
+
+  // Last rendered value, and the result of updates made since then in the same task.
+  // Consecutive calls in one event chain through the pending value, so each update and
+  // each onChange builds on the ones before it even before a re-render
+  const committedRef = useRef(value);
+  const pendingRef = useRef(null);
+  useLayoutEffect(() => {
+    committedRef.current = value;
+  });
+
+  const setValue = useCallback((update) => {
+    const base = pendingRef.current ? pendingRef.current.value : committedRef.current;
+    const next = typeof update === 'function' ? update(base) : update;
+    if (Object.is(next, base)) {
+      return;
+    }
+    if (!pendingRef.current) {
+      // A controlling parent may ignore the updates, so chaining ends with the task
+      queueMicrotask(() => {
+        pendingRef.current = null;
+      });
+    }
+    pendingRef.current = { value: next };
+    if (!isControlled) {
+      setUncontrolledValue(next);
+    }
+    if (onChange) {
+      onChange(next);
+    }
+  }, [isControlled, onChange]);
+
+  return [value, setValue, isControlled];
+};
@@ -0,0 +1,65 @@
+/**
+ * useLeaveProtection.js
+ *
+ * Unsaved-changes protection for a wizard in progress. While the Stepper is
+ * dirty, closing or reloading the tab can show the browser's "Leave site?"
+ * prompt, and attemptLeave() lets a host router ask before navigating away.
+ * A Stepper stops being dirty once it completes.
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { isThenable } from './guards';
+
+/**
+ * useLeaveProtection - beforeunload prompt and leave confirmation
+ *
+ * @param {Object} options
+ * @param {boolean} options.isDirty - Whether leaving now would lose progress
+ * @param {boolean} options.warnOnLeave - Register a beforeunload prompt while dirty
+ * @param {Function} options.onAttemptLeave - Decides whether attemptLeave() may leave (optional)
+ * @param {Function} options.getDetail - Returns the state passed to onAttemptLeave
+ * @param {string} options.confirmMessage - Shown by window.confirm without onAttemptLeave
+ * @returns {Function} attemptLeave() => boolean or Promise<boolean>, true when leaving may go ahead
+ */
+export const useLeaveProtection = ({ isDirty, warnOnLeave, onAttemptLeave, getDetail, confirmMessage }) => {
+  // Latest options, so attemptLeave stays stable for routers holding on to it
+  const latestRef = useRef({ isDirty, onAttemptLeave, getDetail, confirmMessage });
+  useEffect(() => {
+    latestRef.current = { isDirty, onAttemptLeave, getDetail, confirmMessage };
+  });
+
+  // Browsers show their own text; preventDefault and returnValue both request the prompt
+  useEffect(() => {
+    if (!warnOnLeave || !isDirty) {
+      return undefined;
+    }
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [warnOnLeave, isDirty]);
+
+  /**
+   * Ask whether the user may leave the wizard
+   * Without unsaved changes leaving always goes ahead. Otherwise onAttemptLeave decides
+   * (anything but false, or a Promise of false, lets the user leave), or window.confirm asks.
+   */
+  return useCallback(() => {
+    const { isDirty: dirty, onAttemptLeave: handler, getDetail: detail, confirmMessage: message } = latestRef.current;
+    if (!dirty) {
+      return true;
+    }
+    if (!handler) {
+      return window.confirm(message);
+    }
+
+    const result = handler(detail());
+    return isThenable(result)
+      ? result.then(allowed => allowed !== false)
+      : result !== false;
+  }, []);
+};
@@ -0,0 +1,35 @@
+/**
+ * useMediaQuery.js
+ *
+ * Subscribe to a CSS media query from React.
+ * Falls back to "no match" where matchMedia isn't available (server rendering, jsdom).
+ */
+
+import { useCallback, useSyncExternalStore } from 'react';
+
+const getMediaQueryList = (query) => (
+  query && typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? window.matchMedia(query)
+    : null
+);
+
+/**
+ * useMediaQuery - Track whether a media query matches
+ *
+ * @param {string|null} query - Media query, or null to disable
+ * @returns {boolean} True while the query matches
+ */
+export const useMediaQuery = (query) => {
+  const subscribe = useCallback((onChange) => {
+    const mediaQueryList = getMediaQueryList(query);
+    if (!mediaQueryList) {
+      return () => {};
+    }
+    mediaQueryList.addEventListener('change', onChange);
+    return () => mediaQueryList.removeEventListener('change', onChange);
+  }, [query]);
+
+  const getSnapshot = useCallback(() => Boolean(getMediaQueryList(query)?.matches), [query]);
+
+  return useSyncExternalStore(subscribe, getSnapshot, () => false);
+};
@@ -0,0 +1,104 @@
+/**
+ * useStepField.js
+ *
+ * Hook that registers a form field with the enclosing Step.
+ * Field state lives in the Stepper, so values survive navigation and the
+ * Stepper can validate the current step's fields before advancing.
+ */
+
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { useStepper, StepContext } from './StepperContext';
+
+/**
+ * Read a value from a change event or use the argument as the value itself
+ */
+const getChangeValue = (eventOrValue) => {
+  const target = eventOrValue?.target;
+  if (!target) {
+    return eventOrValue;
+  }
+  return target.type === 'checkbox' ? target.checked : target.value;
+};
+
+/**
+ * useStepField - Register a field to the enclosing Step
+ *
+ * @param {string} name - Unique field name within the Stepper
+ * @param {Object} options
+ * @param {Function} options.validate - (value, values) => error message or undefined (optional)
+ * @param {*} options.initialValue - Value used when the Stepper has none (default: '')
+ * @param {string} options.label - Human readable name, shown by StepReview (optional)
+ * @returns {Object} Field state: value, error, touched, invalid, onChange, onBlur,
+ *   setValue, setTouched and inputProps to spread onto an input
+ * @throws {Error} If used outside a Step
+ */
+export const useStepField = (name, { validate, initialValue = '', label } = {}) => {
+  const {
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue,
+    setFieldTouched,
+  } = useStepper();
+  const step = useContext(StepContext);
+
+  if (!step) {
+    throw new Error('useStepField must be used within a Step component');
+  }
+
+  const stepId = step.id;
+  // Only the first initialValue matters, like useState
+  const [fallbackValue] = useState(initialValue);
+
+  useEffect(() => {
+    registerField(name, { stepId, initialValue: fallbackValue, label });
+  }, [name, stepId, fallbackValue, label, registerField]);
+
+  // Inline validators change every render, so they are tracked separately
+  useEffect(() => {
+    registerFieldValidator(name, validate);
+  }, [name, validate, registerFieldValidator]);
+
+  const value = name in values ? values[name] : fallbackValue;
+  const error = errors[name];
+  const isTouched = Boolean(touched[name]);
+
+  const setValue = useCallback((nextValue) => {
+    setFieldValue(name, nextValue);
+  }, [name, setFieldValue]);
+
+  const setTouched = useCallback((nextTouched = true) => {
+    setFieldTouched(name, nextTouched);
+  }, [name, setFieldTouched]);
+
+  const onChange = useCallback((eventOrValue) => {
+    setFieldValue(name, getChangeValue(eventOrValue));
+  }, [name, setFieldValue]);
+
+  const onBlur = useCallback(() => {
+    setFieldTouched(name);
+  }, [name, setFieldTouched]);
+
+  const invalid = isTouched && Boolean(error);
+
+  return {
+    name,
+    value,
+    error,
+    touched: isTouched,
+    invalid,
+    setValue,
+    setTouched,
+    onChange,
+    onBlur,
+    inputProps: {
+      name,
+      value,
+      onChange,
+      onBlur,
+      'aria-invalid': invalid,
+    },
+  };
+};
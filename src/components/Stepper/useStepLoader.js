@@ -0,0 +1,73 @@
+/**
+ * useStepLoader.js
+ *
+ * Code-split step content. A Step's `load` function (usually `() => import('./Heavy')`)
+ * is called the first time the step needs its content - when it is shown, or earlier
+ * when the step is prefetched - and resolves to a component or a module whose default
+ * export is one. A failed load can be retried.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Component a loader resolved to
+ *
+ * @param {Object|Function} loaded - Module or component
+ * @returns {Function|Object} Component
+ */
+const toComponent = (loaded) => {
+  const component = loaded && typeof loaded === 'object' && 'default' in loaded ? loaded.default : loaded;
+  // memo() and forwardRef() components are objects tagged with $$typeof
+  if (typeof component !== 'function' && !component?.$$typeof) {
+    throw new Error('Step load() must resolve to a component or a module with a default export');
+  }
+  return component;
+};
+
+/**
+ * useStepLoader - Load a step's content once it is needed
+ *
+ * Loaders are usually passed inline, so only the latest one is kept and the first
+ * successful load sticks for the lifetime of the step.
+ *
+ * @param {Function} load - () => Promise of a module or component (optional)
+ * @param {boolean} shouldLoad - Start loading now (content shown or prefetched)
+ * @returns {Object} { status: 'idle'|'loaded'|'error', Component, error, retry }
+ */
+export const useStepLoader = (load, shouldLoad) => {
+  const [state, setState] = useState({ status: 'idle', Component: null, error: null });
+  // Latest loader, and whether a load is in flight
+  const loadRef = useRef(load);
+  const pendingRef = useRef(false);
+
+  useEffect(() => {
+    loadRef.current = load;
+  });
+
+  useEffect(() => {
+    if (!shouldLoad || !loadRef.current || state.status !== 'idle' || pendingRef.current) {
+      return;
+    }
+
+    pendingRef.current = true;
+    Promise.resolve()
+      .then(() => loadRef.current())
+      .then(
+        (loaded) => setState({ status: 'loaded', Component: toComponent(loaded), error: null }),
+        (error) => setState({ status: 'error', Component: null, error }),
+      )
+      .catch(error => setState({ status: 'error', Component: null, error }))
+      .finally(() => {
+        pendingRef.current = false;
+      });
+  }, [shouldLoad, state.status]);
+
+  /**
+   * Try a failed load again
+   */
+  const retry = useCallback(() => {
+    setState(prev => (prev.status === 'error' ? { status: 'idle', Component: null, error: null } : prev));
+  }, []);
+
+  return { ...state, retry };
+};
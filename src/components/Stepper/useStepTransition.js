@@ -0,0 +1,82 @@
+/**
+ * useStepTransition.js
+ *
+ * Transition phases for step enter/exit animations.
+ * A step that stops being active stays mounted in the 'exiting' phase until
+ * its exit animation ends (or the transition duration elapses), so the
+ * outgoing and incoming steps can animate at the same time.
+ */
+
+import { useCallback, useContext, useEffect, useState } from 'react';
+import { StepContext } from './StepperContext';
+import { useMediaQuery } from './useMediaQuery';
+
+/**
+ * usePrefersReducedMotion - Track the user's reduced motion preference
+ *
+ * @returns {boolean} True if the user asked for reduced motion
+ */
+export const usePrefersReducedMotion = () => useMediaQuery('(prefers-reduced-motion: reduce)');
+
+/**
+ * useTransitionPhase - Derive a step's transition phase from its active state
+ *
+ * Phases: 'entering' and 'entered' while active, 'exiting' while the outgoing
+ * step animates out, null once it's done. The first render never animates.
+ *
+ * @param {Object} options
+ * @param {boolean} options.isActive - Whether the step is active
+ * @param {boolean} options.enabled - Whether transitions are enabled
+ * @param {number} options.duration - Fallback time (ms) after which a phase ends
+ * @returns {Object} { phase, finish } - finish() ends the current phase early
+ */
+export const useTransitionPhase = ({ isActive, enabled, duration }) => {
+  const [wasActive, setWasActive] = useState(isActive);
+  const [phase, setPhase] = useState(isActive ? 'entered' : null);
+
+  // Adjust the phase while rendering when the active state flips
+  if (wasActive !== isActive) {
+    setWasActive(isActive);
+    if (isActive) {
+      setPhase(enabled ? 'entering' : 'entered');
+    } else {
+      setPhase(enabled ? 'exiting' : null);
+    }
+  }
+
+  const finish = useCallback(() => {
+    setPhase(current => {
+      if (current === 'entering') return 'entered';
+      if (current === 'exiting') return null;
+      return current;
+    });
+  }, []);
+
+  // Fallback for animations that never report their end (or don't exist)
+  useEffect(() => {
+    if (phase !== 'entering' && phase !== 'exiting') {
+      return undefined;
+    }
+    const timeout = setTimeout(finish, duration);
+    return () => clearTimeout(timeout);
+  }, [phase, duration, finish]);
+
+  return { phase, finish };
+};
+
+/**
+ * useStepTransition - Read the enclosing step's transition state
+ * For custom animations: animate on phase/direction, then call done()
+ *
+ * @returns {Object} { phase, direction, isEntering, isExiting, done }
+ * @throws {Error} If used outside a Step
+ */
+export const useStepTransition = () => {
+  const step = useContext(StepContext);
+
+  if (!step) {
+    throw new Error('useStepTransition must be used within a Step component');
+  }
+
+  return step.transition;
+};
@@ -0,0 +1,148 @@
+/**
+ * useStepperEvents.js
+ *
+ * Structured analytics events for funnel tracking. Every event carries the
+ * step's id and label as registered by Step, its position on the active path
+ * and a timestamp, and is delivered to an onEvent callback and/or a tracker
+ * adapter ({ track(event) }).
+ *
+ * Event types:
+ * - stepEntered: a step became active
+ * - stepExited: { durationMs, toStepId, toStepLabel } a step stopped being active
+ * - navigationBlocked: { reason: 'validation'|'guard', toStepId, toStepLabel }
+ * - back: { toStepId, toStepLabel } navigation to an earlier step
+ * - jump: { toStepId, toStepLabel, direction } navigation by activating a StepList item
+ * - completed: { durationMs } the stepper completed; durationMs since the first step was entered
+ * - abandoned: { trigger: 'unmount'|'pagehide', durationMs, totalDurationMs } the user
+ *   left before completing; a page restored from the back/forward cache starts a new
+ *   session with stepEntered
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * useStepperEvents - Emit analytics events and track step time
+ *
+ * @param {Object} options
+ * @param {Function} options.onEvent - Called with each event (optional)
+ * @param {Object} options.tracker - Adapter whose track(event) is called with each event (optional)
+ * @param {Object[]} options.steps - Registered steps
+ * @param {Object[]} options.activeSteps - Steps on the active path
+ * @param {string} options.currentStepId - Id of the active step
+ * @param {boolean} options.isComplete - Whether the stepper has completed
+ * @returns {Function} emit(type, stepId, detail) for events raised by navigation
+ */
+export const useStepperEvents = ({ onEvent, tracker, steps, activeSteps, currentStepId, isComplete }) => {
+  // Latest props and steps, so emit stays stable
+  const latestRef = useRef({ onEvent, tracker, steps, activeSteps });
+  useEffect(() => {
+    latestRef.current = { onEvent, tracker, steps, activeSteps };
+  });
+
+  // Step being timed, when it was entered, and when the session started
+  const sessionRef = useRef({ stepId: null, enteredAt: 0, startedAt: 0, hiddenStepId: null });
+  // StrictMode remounts effects right away; a remount cancels the pending unmount event
+  const unmountTimerRef = useRef(null);
+
+  const emit = useCallback((type, stepId, detail = {}) => {
+    const { onEvent: handler, tracker: adapter, steps: allSteps, activeSteps: pathSteps } = latestRef.current;
+    if (!handler && !adapter) {
+      return;
+    }
+
+    const step = allSteps.find(s => s.id === stepId);
+    const event = {
+      type,
+      stepId,
+      stepLabel: step?.label,
+      position: step ? pathSteps.indexOf(step) + 1 : 0,
+      total: pathSteps.length,
+      timestamp: Date.now(),
+      ...detail,
+    };
+    if (detail.toStepId !== undefined) {
+      event.toStepLabel = allSteps.find(s => s.id === detail.toStepId)?.label;
+    }
+
+    if (handler) {
+      handler(event);
+    }
+    if (adapter) {
+      adapter.track(event);
+    }
+  }, []);
+
+  // Entered/exited with time spent, and completion
+  useEffect(() => {
+    const session = sessionRef.current;
+    const activeId = isComplete ? null : (currentStepId ?? null);
+    if (activeId === session.stepId) {
+      return;
+    }
+
+    const now = Date.now();
+    if (session.stepId !== null) {
+      emit('stepExited', session.stepId, {
+        durationMs: now - session.enteredAt,
+        toStepId: activeId ?? undefined,
+      });
+      if (isComplete) {
+        emit('completed', session.stepId, { durationMs: now - session.startedAt });
+      }
+    } else if (activeId !== null) {
+      // First step of a new session (initial render or after reset)
+      session.startedAt = now;
+    }
+    if (activeId !== null) {
+      emit('stepEntered', activeId);
+    }
+    session.stepId = activeId;
+    session.enteredAt = now;
+  }, [currentStepId, isComplete, emit]);
+
+  // Abandonment: the page is left or the Stepper unmounts before completing.
+  // pagehide rather than beforeunload, which fires before a "Leave site?" prompt the user may cancel
+  useEffect(() => {
+    clearTimeout(unmountTimerRef.current);
+
+    const abandon = (trigger) => {
+      const session = sessionRef.current;
+      if (session.stepId === null) {
+        return;
+      }
+      const now = Date.now();
+      emit('abandoned', session.stepId, {
+        trigger,
+        durationMs: now - session.enteredAt,
+        totalDurationMs: now - session.startedAt,
+      });
+      session.stepId = null;
+    };
+    const handlePageHide = () => {
+      sessionRef.current.hiddenStepId = sessionRef.current.stepId;
+      abandon('pagehide');
+    };
+    // Back/forward cache: the page comes back as it was left, so the session resumes there
+    const handlePageShow = (e) => {
+      const session = sessionRef.current;
+      if (!e.persisted || session.hiddenStepId === null || session.stepId !== null) {
+        return;
+      }
+      session.stepId = session.hiddenStepId;
+      session.hiddenStepId = null;
+      session.startedAt = Date.now();
+      session.enteredAt = session.startedAt;
+      emit('stepEntered', session.stepId);
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('pageshow', handlePageShow);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('pageshow', handlePageShow);
+      unmountTimerRef.current = setTimeout(() => abandon('unmount'));
+    };
+  }, [emit]);
+
+  return emit;
+};
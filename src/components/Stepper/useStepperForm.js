@@ -0,0 +1,232 @@
+/**
+ * useStepperForm.js
+ *
+ * Form state used internally by Stepper.
+ * Tracks values, touched fields and validation errors, and remembers which
+ * step each field belongs to so a whole step can be validated at once.
+ * Fields of a nested Stepper are kept in the root Stepper's form (see useSharedForm):
+ * their step key is the enclosing step's key and their own step id joined by a newline.
+ */
+
+import { useState, useCallback, useMemo, useRef } from 'react';
+
+/**
+ * Check whether a field's step key is the step's, or that of one of its sub-steps
+ */
+const isInStep = (fieldStepKey, stepKey) => (
+  fieldStepKey === stepKey || String(fieldStepKey).startsWith(`${stepKey}\n`)
+);
+
+/**
+ * useStepperForm - Form state manager for the Stepper
+ *
+ * Fields stay registered after their step is hidden, so values and
+ * validity survive navigation between steps.
+ *
+ * @param {Object} initialValues - Initial field values keyed by field name
+ * @returns {Object} Form state and actions
+ */
+export const useStepperForm = (initialValues) => {
+  const [values, setValues] = useState(initialValues);
+  // Values passed on mount - later changes to the prop are ignored, like useState
+  const [startValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  // Field name -> key of the step it is registered to
+  const [fieldSteps, setFieldSteps] = useState({});
+  // Field name -> human readable label, for summaries such as StepReview
+  const [fieldLabels, setFieldLabels] = useState({});
+
+  // Validators change on every render when passed inline, keep them out of state
+  const validatorsRef = useRef(new Map());
+  // Value each field started with, used when a step is reset
+  const defaultValuesRef = useRef(new Map());
+
+  /**
+   * Register a field with its step, initial value and label
+   * An existing value is kept, so remounting a step doesn't reset its fields
+   */
+  const registerField = useCallback((name, { stepId, initialValue, label }) => {
+    if (!defaultValuesRef.current.has(name)) {
+      defaultValuesRef.current.set(name, name in startValues ? startValues[name] : initialValue);
+    }
+    setFieldSteps(prev => (prev[name] === stepId ? prev : { ...prev, [name]: stepId }));
+    setFieldLabels(prev => (prev[name] === label ? prev : { ...prev, [name]: label }));
+    setValues(prev => (name in prev ? prev : { ...prev, [name]: initialValue }));
+  }, [startValues]);
+
+  /**
+   * Store the latest validator for a field
+   */
+  const registerFieldValidator = useCallback((name, validate) => {
+    validatorsRef.current.set(name, validate);
+  }, []);
+
+  /**
+   * Run a field's validator against a set of values
+   *
+   * @returns {string|undefined} Error message, or undefined when valid
+   */
+  const runValidator = useCallback((name, allValues) => {
+    const validate = validatorsRef.current.get(name);
+    return (validate && validate(allValues[name], allValues)) || undefined;
+  }, []);
+
+  /**
+   * Merge validation results into the errors map
+   * Fields whose result is undefined have their error cleared
+   */
+  const applyErrors = useCallback((results) => {
+    setErrors(prev => {
+      const next = { ...prev };
+      Object.entries(results).forEach(([name, error]) => {
+        if (error) {
+          next[name] = error;
+        } else {
+          delete next[name];
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  /**
+   * Update a field value
+   * Touched fields are re-validated immediately so errors clear while typing
+   */
+  const setFieldValue = useCallback((name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    if (touched[name]) {
+      applyErrors({ [name]: runValidator(name, { ...values, [name]: value }) });
+    }
+  }, [values, touched, runValidator, applyErrors]);
+
+  /**
+   * Merge a set of values into the form (e.g. restored progress)
+   */
+  const mergeValues = useCallback((nextValues) => {
+    setValues(prev => ({ ...prev, ...nextValues }));
+  }, []);
+
+  /**
+   * Put every field back to its initial value and clear errors and touched state
+   */
+  const resetForm = useCallback(() => {
+    setValues({
+      ...Object.fromEntries(defaultValuesRef.current),
+      ...startValues,
+    });
+    setErrors({});
+    setTouched({});
+  }, [startValues]);
+
+  /**
+   * Mark a field as touched (usually on blur) and validate it
+   */
+  const setFieldTouched = useCallback((name, isTouched = true) => {
+    setTouched(prev => ({ ...prev, [name]: isTouched }));
+    if (isTouched) {
+      applyErrors({ [name]: runValidator(name, values) });
+    }
+  }, [values, runValidator, applyErrors]);
+
+  /**
+   * Get names of the fields registered to a step, those of its sub-steps included
+   */
+  const getStepFields = useCallback((stepId) => (
+    Object.keys(fieldSteps).filter(name => isInStep(fieldSteps[name], stepId))
+  ), [fieldSteps]);
+
+  /**
+   * Get the key of the step a field is registered to
+   */
+  const getFieldStep = useCallback((name) => fieldSteps[name], [fieldSteps]);
+
+  /**
+   * Get the label a field registered with (undefined without one)
+   */
+  const getFieldLabel = useCallback((name) => fieldLabels[name], [fieldLabels]);
+
+  /**
+   * Put a step's fields back to their initial values and clear their errors and touched state
+   *
+   * @param {string} stepId - Step identifier
+   */
+  const resetStepFields = useCallback((stepId) => {
+    const names = getStepFields(stepId);
+    const omitFields = (prev) => {
+      const next = { ...prev };
+      names.forEach(name => delete next[name]);
+      return next;
+    };
+
+    setValues(prev => ({
+      ...prev,
+      ...Object.fromEntries(names.map(name => [name, defaultValuesRef.current.get(name)])),
+    }));
+    setErrors(omitFields);
+    setTouched(omitFields);
+  }, [getStepFields]);
+
+  /**
+   * Validate every field of a step and mark them all as touched
+   *
+   * @param {string} stepId - Step identifier
+   * @returns {boolean} True if all fields of the step are valid
+   */
+  const validateStepFields = useCallback((stepId) => {
+    const names = getStepFields(stepId);
+    const results = Object.fromEntries(names.map(name => [name, runValidator(name, values)]));
+
+    applyErrors(results);
+    setTouched(prev => ({
+      ...prev,
+      ...Object.fromEntries(names.map(name => [name, true])),
+    }));
+
+    return names.every(name => !results[name]);
+  }, [values, getStepFields, runValidator, applyErrors]);
+
+  /**
+   * Check whether a step currently has no field errors
+   * Uses the last validation results - it does not run validators
+   */
+  const isStepFieldsValid = useCallback((stepId) => (
+    getStepFields(stepId).every(name => !errors[name])
+  ), [errors, getStepFields]);
+
+  // Nested Steppers share this form through context, so it only changes along with its state
+  return useMemo(() => ({
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue,
+    mergeValues,
+    resetForm,
+    setFieldTouched,
+    validateStepFields,
+    isStepFieldsValid,
+    getStepFields,
+    getFieldStep,
+    getFieldLabel,
+    resetStepFields,
+  }), [
+    values,
+    errors,
+    touched,
+    registerField,
+    registerFieldValidator,
+    setFieldValue,
+    mergeValues,
+    resetForm,
+    setFieldTouched,
+    validateStepFields,
+    isStepFieldsValid,
+    getStepFields,
+    getFieldStep,
+    getFieldLabel,
+    resetStepFields,
+  ]);
+};
@@ -0,0 +1,112 @@
+/**
+ * useStepperHistory.js
+ *
+ * Undo/redo history of a Stepper. Navigation and field edits are recorded as
+ * entries on an undo stack; consecutive edits of the same field collapse into
+ * one entry, so undo restores the value the field had before it was edited.
+ *
+ * Entries:
+ * - { type: 'navigation', from, to } - step ids
+ * - { type: 'field', name, from, to } - field values
+ */
+
+import { useCallback, useState } from 'react';
+import { isThenable } from './guards';
+
+/**
+ * Oldest entries are dropped beyond this many
+ */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Whether a keyboard event is an undo or redo shortcut
+ * Ctrl+Z / Cmd+Z undoes, Ctrl+Shift+Z / Cmd+Shift+Z and Ctrl+Y redo
+ *
+ * @param {KeyboardEvent} e - Keyboard event
+ * @returns {'undo'|'redo'|null} The action, or null for other keys
+ */
+export const getHistoryShortcut = (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+    return null;
+  }
+  const key = e.key.toLowerCase();
+  if (key === 'z') {
+    return e.shiftKey ? 'redo' : 'undo';
+  }
+  if (key === 'y' && e.ctrlKey && !e.shiftKey) {
+    return 'redo';
+  }
+  return null;
+};
+
+/**
+ * useStepperHistory - Undo and redo stacks
+ *
+ * @returns {Object} { record, travel, clear, canUndo, canRedo }
+ */
+export const useStepperHistory = () => {
+  const [history, setHistory] = useState({ past: [], future: [] });
+
+  /**
+   * Push an entry onto the undo stack and clear the redo stack
+   */
+  const record = useCallback((entry) => {
+    setHistory(prev => {
+      const last = prev.past[prev.past.length - 1];
+      if (entry.type === 'field' && last?.type === 'field' && last.name === entry.name) {
+        const merged = { ...entry, from: last.from };
+        const past = prev.past.slice(0, -1);
+        // Edited back to where it started: nothing left to undo
+        return { past: Object.is(merged.from, merged.to) ? past : [...past, merged], future: [] };
+      }
+      return { past: [...prev.past, entry].slice(-HISTORY_LIMIT), future: [] };
+    });
+  }, []);
+
+  /**
+   * Apply the top entry of the undo ('undo') or redo ('redo') stack and move it to the other
+   *
+   * @param {'undo'|'redo'} action - Which way to move through history
+   * @param {Function} apply - (entry, action) => applies the entry's `from` (undo) or `to`
+   *   (redo) value; returns false (or a Promise of false) if it couldn't be applied,
+   *   null if the entry no longer applies and should be dropped
+   * @returns {boolean|Promise<boolean>} Whether an entry was applied
+   */
+  const travel = useCallback((action, apply) => {
+    const source = action === 'undo' ? history.past : history.future;
+    const entry = action === 'undo' ? source[source.length - 1] : source[0];
+    if (!entry) {
+      return false;
+    }
+
+    const settle = (applied) => {
+      if (applied === false) {
+        return false;
+      }
+      setHistory(prev => {
+        const past = prev.past.filter(e => e !== entry);
+        const future = prev.future.filter(e => e !== entry);
+        if (applied === null) {
+          return { past, future };
+        }
+        return action === 'undo'
+          ? { past, future: [entry, ...future] }
+          : { past: [...past, entry], future };
+      });
+      return applied !== null;
+    };
+
+    const result = apply(entry, action);
+    return isThenable(result) ? result.then(settle) : settle(result);
+  }, [history]);
+
+  const clear = useCallback(() => setHistory({ past: [], future: [] }), []);
+
+  return {
+    record,
+    travel,
+    clear,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * useStepperPersistence.js
+ *
+ * Saves Stepper progress to a storage adapter and restores it on mount.
+ * Snapshots are discarded when their version or the registered step ids
+ * no longer match the current wizard.
+ */
+
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { resolveStorageAdapter, isSnapshotCompatible } from './persistence';
+import { isThenable } from './guards';
+
+/**
+ * Call an adapter method, reporting sync and async failures as warnings
+ * Storage problems (quota, network) must never break the wizard
+ */
+const callAdapter = (action, operation) => {
+  const report = (error) => {
+    console.warn(`Stepper: failed to ${action} persisted progress`, error);
+    return null;
+  };
+
+  try {
+    const result = operation();
+    return isThenable(result) ? result.catch(report) : result;
+  } catch (error) {
+    return report(error);
+  }
+};
+
+/**
+ * useStepperPersistence - Persist and restore stepper progress
+ *
+ * @param {Object} options
+ * @param {Object} options.persist - { key, storage, version } or undefined to disable
+ * @param {Object[]} options.steps - Registered steps
+ * @param {Object} options.state - Serializable progress to save
+ * @param {Function} options.onRestore - Called with a compatible stored snapshot
+ * @param {boolean} options.restored - Whether the restored progress has rendered; set in state
+ *   by onRestore, so saving waits for the restored state rather than writing the initial one
+ * @param {boolean} options.paused - Stop saving, e.g. once the wizard has completed and its
+ *   snapshot was removed (optional)
+ * @returns {Object} { clearPersistedState, hasSnapshot } - hasSnapshot is true while a stored
+ *   snapshot is loading or is compatible with the registered steps
+ */
+export const useStepperPersistence = ({ persist, steps, state, onRestore, restored, paused = false }) => {
+  const key = persist?.key;
+  const version = persist?.version;
+  const storage = persist?.storage;
+
+  const adapter = useMemo(() => (key ? resolveStorageAdapter(storage) : null), [key, storage]);
+
+  // Load once on mount - sync adapters resolve immediately, async ones later
+  const [loadResult] = useState(() => (
+    adapter ? callAdapter('load', () => adapter.load(key)) : null
+  ));
+  // undefined while an async adapter is still loading
+  const [storedSnapshot, setStoredSnapshot] = useState(() => (
+    isThenable(loadResult) ? undefined : loadResult
+  ));
+  const restoreAttemptedRef = useRef(!adapter);
+  const hasSnapshot = Boolean(adapter) && (
+    storedSnapshot === undefined ||
+    (Boolean(storedSnapshot) && (steps.length === 0 || isSnapshotCompatible(storedSnapshot, version, steps.map(s => s.id))))
+  );
+
+  useEffect(() => {
+    if (!isThenable(loadResult)) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    loadResult.then(snapshot => {
+      if (!cancelled) {
+        setStoredSnapshot(snapshot ?? null);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadResult]);
+
+  // Restore once both the snapshot and the registered steps are known
+  useEffect(() => {
+    if (restoreAttemptedRef.current || storedSnapshot === undefined || steps.length === 0) {
+      return;
+    }
+    restoreAttemptedRef.current = true;
+
+    if (!storedSnapshot) {
+      return;
+    }
+
+    const stepIds = steps.map(s => s.id);
+    if (isSnapshotCompatible(storedSnapshot, version, stepIds)) {
+      onRestore(storedSnapshot);
+    } else {
+      callAdapter('remove', () => adapter.remove(key));
+    }
+  }, [storedSnapshot, steps, version, adapter, key, onRestore]);
+
+  // Save on every change, but never before the stored snapshot had a chance to restore -
+  // a compatible one only once its progress has rendered
+  useEffect(() => {
+    if (!adapter || !restoreAttemptedRef.current || (hasSnapshot && !restored) || paused) {
+      return;
+    }
+
+    callAdapter('save', () => adapter.save(key, {
+      version,
+      stepIds: steps.map(s => s.id),
+      ...state,
+    }));
+  }, [adapter, key, version, steps, state, hasSnapshot, restored, paused]);
+
+  /**
+   * Remove the stored snapshot
+   */
+  const clearPersistedState = useCallback(() => {
+    if (adapter) {
+      callAdapter('remove', () => adapter.remove(key));
+    }
+  }, [adapter, key]);
+
+  return { clearPersistedState, hasSnapshot };
+};
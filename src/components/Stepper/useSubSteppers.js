@@ -0,0 +1,255 @@
+/**
+ * useSubSteppers.js
+ *
+ * Hierarchical steppers. A Stepper rendered inside a Step registers with the
+ * enclosing Stepper as that step's sub-stepper. While the step is active, the
+ * parent's goToNext/goToPrevious move through the sub-steps first and only
+ * leave the step once the sub-stepper reaches its first or last sub-step.
+ * Sub-step fields are kept in the root Stepper's form, and a sub-stepper picks up
+ * where it was when its step mounts again.
+ */
+
+import { useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { StepperContext, StepContext } from './StepperContext';
+
+/**
+ * Start position of a sub-stepper entered backward - its last sub-step,
+ * which isn't known until its steps have registered
+ */
+export const LAST_SUB_STEP = Symbol('lastSubStep');
+
+/**
+ * useSubSteppers - Track the sub-steppers nested in a Stepper's steps
+ *
+ * @returns {Object} { subSteppers, registerSubStepper, subStepperProgress, clearSubStepperProgress } -
+ *   subSteppers and subStepperProgress are keyed by step id
+ */
+export const useSubSteppers = () => {
+  const [subSteppers, setSubSteppers] = useState({});
+  // Active and completed sub-steps of each sub-stepper, kept after its step unmounts
+  const [subStepperProgress, setSubStepperProgress] = useState({});
+
+  /**
+   * Register (or update) the sub-stepper of a step
+   *
+   * @returns {Function} Cleanup that unregisters it
+   */
+  const registerSubStepper = useCallback((stepId, subStepper) => {
+    setSubSteppers(prev => ({ ...prev, [stepId]: subStepper }));
+    // Before its steps register, a sub-stepper has nothing to remember
+    if (subStepper.currentStepId !== undefined) {
+      setSubStepperProgress(prev => ({
+        ...prev,
+        [stepId]: { currentStepId: subStepper.currentStepId, completedSteps: subStepper.completedSteps },
+      }));
+    }
+
+    return () => {
+      setSubSteppers(prev => {
+        if (prev[stepId] !== subStepper) {
+          return prev;
+        }
+        const next = { ...prev };
+        delete next[stepId];
+        return next;
+      });
+    };
+  }, []);
+
+  /**
+   * Forget the progress of every sub-stepper, e.g. when the Stepper is reset
+   */
+  const clearSubStepperProgress = useCallback(() => {
+    setSubStepperProgress({});
+  }, []);
+
+  return { subSteppers, registerSubStepper, subStepperProgress, clearSubStepperProgress };
+};
+
+/**
+ * useSubStepperStart - Where a nested Stepper starts when its step mounts
+ * It resumes at the sub-step it was on, with the sub-steps it had completed;
+ * when its step is entered backward, it starts at its last sub-step instead
+ *
+ * @returns {Object|null} { currentStepId, completedSteps } - currentStepId may be LAST_SUB_STEP;
+ *   null for top-level Steppers and sub-steppers without progress
+ */
+export const useSubStepperStart = () => {
+  const parent = useContext(StepperContext);
+  const parentStep = useContext(StepContext);
+
+  // Only read on mount, later progress is the sub-stepper's own state
+  const [start] = useState(() => {
+    if (!parent?.subStepperProgress || !parentStep) {
+      return null;
+    }
+    const progress = parent.subStepperProgress[parentStep.id];
+    if (parent.direction === 'backward') {
+      return { currentStepId: LAST_SUB_STEP, completedSteps: progress?.completedSteps };
+    }
+    return progress ?? null;
+  });
+
+  return start;
+};
+
+/**
+ * useSharedForm - Keep a nested Stepper's fields in the root Stepper's form
+ * Top-level Steppers use their own form. A nested Stepper registers its fields under
+ * the enclosing step's key and its own step id, so they count as fields of the
+ * enclosing step and reach the root's onComplete, StepReview and persisted progress.
+ * Either way, the returned form takes this Stepper's step ids.
+ *
+ * @param {Object} ownForm - The Stepper's own form state, see useStepperForm
+ * @returns {Object} Form state and actions, plus sharedForm for the Steppers nested in this one
+ */
+export const useSharedForm = (ownForm) => {
+  const parent = useContext(StepperContext);
+  const parentStep = useContext(StepContext);
+  const inherited = parentStep ? parent?.sharedForm : undefined;
+  const form = inherited ? inherited.form : ownForm;
+  const parentKey = inherited ? inherited.getStepKey(parentStep.id) : null;
+  const {
+    registerField,
+    validateStepFields,
+    isStepFieldsValid,
+    getStepFields,
+    getFieldStep,
+    resetStepFields,
+    resetForm,
+  } = form;
+
+  /**
+   * Key a step's fields are registered under in the shared form
+   */
+  const getStepKey = useCallback((stepId) => (
+    parentKey === null ? stepId : `${parentKey}\n${stepId}`
+  ), [parentKey]);
+
+  const registerStepField = useCallback((name, field) => (
+    registerField(name, { ...field, stepId: getStepKey(field.stepId) })
+  ), [registerField, getStepKey]);
+
+  const validateOwnStepFields = useCallback((stepId) => (
+    validateStepFields(getStepKey(stepId))
+  ), [validateStepFields, getStepKey]);
+
+  const isOwnStepFieldsValid = useCallback((stepId) => (
+    isStepFieldsValid(getStepKey(stepId))
+  ), [isStepFieldsValid, getStepKey]);
+
+  const getOwnStepFields = useCallback((stepId) => (
+    getStepFields(getStepKey(stepId))
+  ), [getStepFields, getStepKey]);
+
+  const resetOwnStepFields = useCallback((stepId) => (
+    resetStepFields(getStepKey(stepId))
+  ), [resetStepFields, getStepKey]);
+
+  /**
+   * Id of this Stepper's step a field belongs to, undefined for fields outside this Stepper
+   */
+  const getOwnFieldStep = useCallback((name) => {
+    const key = getFieldStep(name);
+    const prefix = parentKey === null ? '' : `${parentKey}\n`;
+    return key !== undefined && String(key).startsWith(prefix)
+      ? String(key).slice(prefix.length).split('\n')[0]
+      : undefined;
+  }, [getFieldStep, parentKey]);
+
+  // A nested Stepper only resets its own fields
+  const resetOwnForm = useCallback(() => (
+    parentKey === null ? resetForm() : resetStepFields(parentKey)
+  ), [parentKey, resetForm, resetStepFields]);
+
+  return useMemo(() => ({
+    ...form,
+    registerField: registerStepField,
+    validateStepFields: validateOwnStepFields,
+    isStepFieldsValid: isOwnStepFieldsValid,
+    getStepFields: getOwnStepFields,
+    getFieldStep: getOwnFieldStep,
+    resetStepFields: resetOwnStepFields,
+    resetForm: resetOwnForm,
+    sharedForm: { form, getStepKey },
+  }), [
+    form,
+    getStepKey,
+    registerStepField,
+    validateOwnStepFields,
+    isOwnStepFieldsValid,
+    getOwnStepFields,
+    getOwnFieldStep,
+    resetOwnStepFields,
+    resetOwnForm,
+  ]);
+};
+
+/**
+ * useParentStepper - Register a Stepper with the Stepper whose Step encloses it
+ * Does nothing for top-level Steppers.
+ *
+ * @param {Object} navigation - The nested Stepper's state and navigation
+ * @param {Function} navigation.goToNext - Advances to the next sub-step
+ * @param {Function} navigation.goToPrevious - Goes back to the previous sub-step
+ * @param {Object[]} navigation.activeSteps - Sub-steps on the active path
+ * @param {string} navigation.currentStepId - Id of the active sub-step
+ * @param {Set} navigation.completedSteps - Ids of completed sub-steps
+ * @param {boolean} navigation.isFirstStep - Whether the first sub-step is active
+ * @param {boolean} navigation.isLastStep - Whether the last sub-step is active
+ * @param {boolean} navigation.isTransitioning - Whether a sub-step guard is pending
+ */
+export const useParentStepper = (navigation) => {
+  const parent = useContext(StepperContext);
+  const parentStep = useContext(StepContext);
+  const registerSubStepper = parent?.registerSubStepper;
+  const parentStepId = parentStep?.id;
+  const {
+    activeSteps,
+    currentStepId,
+    completedSteps,
+    isFirstStep,
+    isLastStep,
+    isTransitioning,
+  } = navigation;
+
+  // Latest navigation functions, called when the parent delegates
+  const navigationRef = useRef(navigation);
+  useEffect(() => {
+    navigationRef.current = navigation;
+  });
+
+  // Sub-step progress shown under the parent's step indicator
+  const subSteps = useMemo(() => activeSteps.map(step => ({
+    id: step.id,
+    label: step.label,
+    isActive: step.id === currentStepId,
+    isCompleted: completedSteps.has(step.id),
+  })), [activeSteps, currentStepId, completedSteps]);
+
+  useEffect(() => {
+    if (!registerSubStepper || parentStepId === undefined) {
+      return undefined;
+    }
+    return registerSubStepper(parentStepId, {
+      steps: subSteps,
+      position: subSteps.findIndex(step => step.isActive),
+      isFirstStep,
+      isLastStep,
+      isTransitioning,
+      goToNext: () => navigationRef.current.goToNext(),
+      goToPrevious: () => navigationRef.current.goToPrevious(),
+      currentStepId,
+      completedSteps,
+    });
+  }, [
+    registerSubStepper,
+    parentStepId,
+    subSteps,
+    currentStepId,
+    completedSteps,
+    isFirstStep,
+    isLastStep,
+    isTransitioning,
+  ]);
+};
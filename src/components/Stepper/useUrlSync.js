@@ -0,0 +1,170 @@
+/**
+ * useUrlSync.js
+ *
+ * Keeps the active step id in the URL (?step= or #) and the browser history.
+ * Back/Forward and deep links go through the guarded goToStep path, and
+ * steps the user may not reach yet are refused.
+ */
+
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { isThenable } from './guards';
+
+/**
+ * Normalize the urlSync prop
+ *
+ * @param {boolean|string|Object} urlSync - true, 'query', 'hash' or { mode, param, history }
+ * @returns {Object|null} { mode, param, history } or null when disabled
+ */
+const normalizeOptions = (urlSync) => {
+  if (!urlSync || typeof window === 'undefined') {
+    return null;
+  }
+  const options = typeof urlSync === 'object' ? urlSync : { mode: urlSync === 'hash' ? 'hash' : 'query' };
+  return {
+    mode: options.mode === 'hash' ? 'hash' : 'query',
+    param: options.param || 'step',
+    history: options.history === 'replace' ? 'replace' : 'push',
+  };
+};
+
+/**
+ * Read the step id from the current URL
+ */
+const readStepId = ({ mode, param }) => {
+  if (mode === 'hash') {
+    const hash = window.location.hash.slice(1);
+    return hash ? decodeURIComponent(hash) : null;
+  }
+  return new URLSearchParams(window.location.search).get(param);
+};
+
+/**
+ * Build the URL for a step id, keeping the rest of the current URL
+ */
+const buildUrl = ({ mode, param }, stepId) => {
+  const url = new URL(window.location.href);
+  if (mode === 'hash') {
+    url.hash = encodeURIComponent(stepId);
+  } else {
+    url.searchParams.set(param, stepId);
+  }
+  return `${url.pathname}${url.search}${url.hash}`;
+};
+
+/**
+ * useUrlSync - Synchronize the active step with the URL
+ *
+ * @param {Object} options
+ * @param {boolean|string|Object} options.urlSync - URL sync configuration
+ * @param {Object[]} options.steps - Registered steps
+ * @param {number} options.currentStep - Active step index
+ * @param {Function} options.goToStep - Guarded navigation
+ * @param {Function} options.isStepReachable - Whether a step may be activated
+ * @param {boolean} options.isRestoring - Persisted progress is still to be restored
+ */
+export const useUrlSync = ({ urlSync, steps, currentStep, goToStep, isStepReachable, isRestoring }) => {
+  // Memoize on primitives - urlSync objects are usually passed inline
+  const { mode, param, history } = normalizeOptions(urlSync) || {};
+  const options = useMemo(
+    () => (mode ? { mode, param, history } : null),
+    [mode, param, history],
+  );
+
+  // A deep link is applied once the steps are registered and persisted progress is restored
+  const [initialStepId] = useState(() => (options ? readStepId(options) : null));
+  const pendingStepIdRef = useRef(initialStepId);
+  // Active step when the steps registered, to notice the user navigating during an async restore
+  const startStepIdRef = useRef(null);
+  const hasWrittenRef = useRef(false);
+
+  /**
+   * Write the active step into the URL
+   * The first write replaces the entry so the initial page doesn't add history
+   */
+  const writeUrl = useCallback((stepId, { replace = false } = {}) => {
+    const url = buildUrl(options, stepId);
+    if (replace || !hasWrittenRef.current || options.history === 'replace') {
+      window.history.replaceState(window.history.state, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+    hasWrittenRef.current = true;
+  }, [options]);
+
+  /**
+   * Navigate to the step named in the URL through the guarded path
+   * Puts the URL back when the step is unreachable or a guard blocks it
+   */
+  const navigateFromUrl = useCallback(() => {
+    const activeStep = steps[currentStep];
+    const stepId = readStepId(options);
+    const target = stepId === null
+      ? steps.findIndex(s => !s.skipped)
+      : steps.findIndex(s => s.id === stepId);
+
+    if (!activeStep || target === currentStep) {
+      return;
+    }
+
+    const revert = () => writeUrl(activeStep.id, { replace: true });
+
+    if (target === -1 || !isStepReachable(target)) {
+      revert();
+      return;
+    }
+
+    const result = goToStep(target);
+    if (isThenable(result)) {
+      result.then(navigated => {
+        if (!navigated) revert();
+      });
+    } else if (!result) {
+      revert();
+    }
+  }, [options, steps, currentStep, goToStep, isStepReachable, writeUrl]);
+
+  // Apply a pending deep link once, as soon as the steps and restored progress are known
+  // A step that can't be reached then is refused for good, and navigating first drops the link
+  useEffect(() => {
+    const stepId = pendingStepIdRef.current;
+    const activeStep = steps[currentStep];
+    if (!options || !stepId || !activeStep) {
+      return;
+    }
+
+    if (isRestoring) {
+      startStepIdRef.current ??= activeStep.id;
+      if (startStepIdRef.current !== activeStep.id) {
+        pendingStepIdRef.current = null;
+      }
+      return;
+    }
+
+    pendingStepIdRef.current = null;
+    const target = steps.findIndex(s => s.id === stepId);
+    if (target !== -1 && target !== currentStep && isStepReachable(target)) {
+      goToStep(target);
+    }
+  }, [options, steps, currentStep, isRestoring, isStepReachable, goToStep]);
+
+  // Reflect the active step in the URL
+  useEffect(() => {
+    const activeStep = steps[currentStep];
+    if (!options || !activeStep || readStepId(options) === activeStep.id) {
+      return;
+    }
+    writeUrl(activeStep.id);
+  }, [options, steps, currentStep, writeUrl]);
+
+  // Browser Back/Forward (and manual hash edits)
+  useEffect(() => {
+    if (!options) {
+      return undefined;
+    }
+
+    window.addEventListener('popstate', navigateFromUrl);
+    return () => {
+      window.removeEventListener('popstate', navigateFromUrl);
+    };
+  }, [options, navigateFromUrl]);
+};